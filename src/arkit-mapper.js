@@ -1,66 +1,24 @@
 /**
  * ARKit Blendshape Mapper
- * Maps MediaPipe Face Landmarker blendshapes to ARKit blendshape naming convention
+ * Maps MediaPipe Face Landmarker blendshapes to ARKit blendshape naming convention,
+ * blended with (or, where MediaPipe has no score, filled in by) the geometric solver,
+ * and remapped through a per-person calibration profile when one is set. Other rigs'
+ * names are reached from these through a RetargetingProfile.
  */
 
-export const ARKIT_BLENDSHAPE_NAMES = [
-    'browDownLeft',
-    'browDownRight',
-    'browInnerUp',
-    'browOuterUpLeft',
-    'browOuterUpRight',
-    'cheekPuff',
-    'cheekSquintLeft',
-    'cheekSquintRight',
-    'eyeBlinkLeft',
-    'eyeBlinkRight',
-    'eyeLookDownLeft',
-    'eyeLookDownRight',
-    'eyeLookInLeft',
-    'eyeLookInRight',
-    'eyeLookOutLeft',
-    'eyeLookOutRight',
-    'eyeLookUpLeft',
-    'eyeLookUpRight',
-    'eyeSquintLeft',
-    'eyeSquintRight',
-    'eyeWideLeft',
-    'eyeWideRight',
-    'jawForward',
-    'jawLeft',
-    'jawOpen',
-    'jawRight',
-    'mouthClose',
-    'mouthDimpleLeft',
-    'mouthDimpleRight',
-    'mouthFrownLeft',
-    'mouthFrownRight',
-    'mouthFunnel',
-    'mouthLeft',
-    'mouthLowerDownLeft',
-    'mouthLowerDownRight',
-    'mouthPressLeft',
-    'mouthPressRight',
-    'mouthPucker',
-    'mouthRight',
-    'mouthRollLower',
-    'mouthRollUpper',
-    'mouthShrugLower',
-    'mouthShrugUpper',
-    'mouthSmileLeft',
-    'mouthSmileRight',
-    'mouthStretchLeft',
-    'mouthStretchRight',
-    'mouthUpperUpLeft',
-    'mouthUpperUpRight',
-    'noseSneerLeft',
-    'noseSneerRight',
-    'tongueOut'
-];
+import { ARKIT_BLENDSHAPE_NAMES } from './blendshape-registry.js';
+import { LandmarkBlendshapeSolver } from './landmark-blendshape-solver.js';
+
+export { ARKIT_BLENDSHAPE_NAMES };
 
 export class ARKitBlendshapeMapper {
-    constructor() {
+    constructor(options = {}) {
         this.mediaPipeToARKitMap = this.createMapping();
+        this.solver = new LandmarkBlendshapeSolver();
+        // Share of the landmark solver in each coefficient: 0 keeps MediaPipe's scores, 1 uses the solver alone
+        this.solverWeight = Math.min(1, Math.max(0, options.solverWeight ?? 0));
+        // CalibrationProfile the mixed coefficients are remapped through, or null
+        this.calibration = options.calibration ?? null;
     }
     
     createMapping() {
@@ -133,71 +91,45 @@ export class ARKitBlendshapeMapper {
         };
     }
     
-    mapMediaPipeToARKit(mediaPipeBlendshapes, landmarks) {
-        const arkitBlendshapes = {};
-        
-        // Initialize all ARKit blendshapes with 0
-        ARKIT_BLENDSHAPE_NAMES.forEach(name => {
-            arkitBlendshapes[name] = 0;
-        });
-        
-        // Map MediaPipe blendshapes
+    /**
+     * ARKit coefficients from MediaPipe's scores and, given the landmarks, the geometric
+     * solver, mixed by solverWeight. A coefficient only one source provides is taken from it.
+     * aspect is the photo's width over its height. Given the photo's HeadPose, the
+     * landmarks are measured with the pose removed, so the head's turn and tilt drop out.
+     * The result goes through the calibration profile, if any.
+     */
+    mapMediaPipeToARKit(mediaPipeBlendshapes, landmarks, aspect = 1, pose = null) {
+        return this.calibrate(this.mixScores(mediaPipeBlendshapes, landmarks, aspect, pose));
+    }
+    
+    // mapMediaPipeToARKit without the calibration: what calibration captures record
+    mixScores(mediaPipeBlendshapes, landmarks, aspect = 1, pose = null) {
+        const scores = {};
         mediaPipeBlendshapes.forEach(blendshape => {
             const arkitName = this.mediaPipeToARKitMap[blendshape.categoryName];
             if (arkitName) {
-                arkitBlendshapes[arkitName] = blendshape.score;
+                scores[arkitName] = blendshape.score;
             }
         });
         
-        // Calculate additional blendshapes from landmarks if needed
-        if (landmarks) {
-            this.enhanceBlendshapesFromLandmarks(arkitBlendshapes, landmarks);
-        }
+        const canonical = landmarks && pose ? pose.frontalize(landmarks) : landmarks;
+        const solved = canonical ? this.solver.solve(canonical, aspect) : {};
+        const w = this.solverWeight;
+        
+        const arkitBlendshapes = {};
+        ARKIT_BLENDSHAPE_NAMES.forEach(name => {
+            const score = scores[name];
+            const geometric = solved[name];
+            if (score === undefined) arkitBlendshapes[name] = geometric ?? 0;
+            else if (geometric === undefined) arkitBlendshapes[name] = score;
+            else arkitBlendshapes[name] = (1 - w) * score + w * geometric;
+        });
         
         return arkitBlendshapes;
     }
     
-    enhanceBlendshapesFromLandmarks(blendshapes, landmarks) {
-        // Calculate jaw open from mouth landmarks
-        const upperLip = landmarks[13]; // Upper lip center
-        const lowerLip = landmarks[14]; // Lower lip center
-        const mouthOpenDistance = Math.abs(upperLip.y - lowerLip.y);
-        
-        if (blendshapes.jawOpen === 0) {
-            blendshapes.jawOpen = Math.min(mouthOpenDistance * 5, 1);
-        }
-        
-        // Calculate smile from mouth corners
-        const leftMouthCorner = landmarks[61];
-        const rightMouthCorner = landmarks[291];
-        const mouthCenter = landmarks[13];
-        
-        const leftSmileIntensity = (leftMouthCorner.y - mouthCenter.y) * -10;
-        const rightSmileIntensity = (rightMouthCorner.y - mouthCenter.y) * -10;
-        
-        if (leftSmileIntensity > 0) {
-            blendshapes.mouthSmileLeft = Math.max(blendshapes.mouthSmileLeft, Math.min(leftSmileIntensity, 1));
-        }
-        if (rightSmileIntensity > 0) {
-            blendshapes.mouthSmileRight = Math.max(blendshapes.mouthSmileRight, Math.min(rightSmileIntensity, 1));
-        }
-        
-        // Calculate brow movements
-        const leftBrowInner = landmarks[107];
-        const rightBrowInner = landmarks[336];
-        const noseBridge = landmarks[6];
-        
-        const leftBrowHeight = (noseBridge.y - leftBrowInner.y) * 8;
-        const rightBrowHeight = (noseBridge.y - rightBrowInner.y) * 8;
-        
-        if (leftBrowHeight < 0) {
-            blendshapes.browDownLeft = Math.min(Math.abs(leftBrowHeight), 1);
-        }
-        if (rightBrowHeight < 0) {
-            blendshapes.browDownRight = Math.min(Math.abs(rightBrowHeight), 1);
-        }
-        
-        return blendshapes;
+    calibrate(arkitBlendshapes) {
+        return this.calibration ? this.calibration.apply(arkitBlendshapes) : { ...arkitBlendshapes };
     }
     
     exportBlendshapesForBlender(blendshapes) {
@@ -0,0 +1,84 @@
+/**
+ * Blendshape Registry
+ * Canonical list of the 52 ARKit blendshapes shared by the mapper, the mesh
+ * generator and the exporter. The array order is the morph target order.
+ * Left/Right follow the image-left convention described in face-regions.js.
+ */
+
+export const BLENDSHAPE_REGIONS = ['brows', 'cheeks', 'eyes', 'jaw', 'mouth', 'nose', 'tongue'];
+
+export const BLENDSHAPE_REGISTRY = [
+    { name: 'browDownLeft', region: 'brows', side: 'Left' },
+    { name: 'browDownRight', region: 'brows', side: 'Right' },
+    { name: 'browInnerUp', region: 'brows', side: null },
+    { name: 'browOuterUpLeft', region: 'brows', side: 'Left' },
+    { name: 'browOuterUpRight', region: 'brows', side: 'Right' },
+    { name: 'cheekPuff', region: 'cheeks', side: null },
+    { name: 'cheekSquintLeft', region: 'cheeks', side: 'Left' },
+    { name: 'cheekSquintRight', region: 'cheeks', side: 'Right' },
+    { name: 'eyeBlinkLeft', region: 'eyes', side: 'Left' },
+    { name: 'eyeBlinkRight', region: 'eyes', side: 'Right' },
+    { name: 'eyeLookDownLeft', region: 'eyes', side: 'Left' },
+    { name: 'eyeLookDownRight', region: 'eyes', side: 'Right' },
+    { name: 'eyeLookInLeft', region: 'eyes', side: 'Left' },
+    { name: 'eyeLookInRight', region: 'eyes', side: 'Right' },
+    { name: 'eyeLookOutLeft', region: 'eyes', side: 'Left' },
+    { name: 'eyeLookOutRight', region: 'eyes', side: 'Right' },
+    { name: 'eyeLookUpLeft', region: 'eyes', side: 'Left' },
+    { name: 'eyeLookUpRight', region: 'eyes', side: 'Right' },
+    { name: 'eyeSquintLeft', region: 'eyes', side: 'Left' },
+    { name: 'eyeSquintRight', region: 'eyes', side: 'Right' },
+    { name: 'eyeWideLeft', region: 'eyes', side: 'Left' },
+    { name: 'eyeWideRight', region: 'eyes', side: 'Right' },
+    { name: 'jawForward', region: 'jaw', side: null },
+    { name: 'jawLeft', region: 'jaw', side: 'Left' },
+    { name: 'jawOpen', region: 'jaw', side: null },
+    { name: 'jawRight', region: 'jaw', side: 'Right' },
+    { name: 'mouthClose', region: 'mouth', side: null },
+    { name: 'mouthDimpleLeft', region: 'mouth', side: 'Left' },
+    { name: 'mouthDimpleRight', region: 'mouth', side: 'Right' },
+    { name: 'mouthFrownLeft', region: 'mouth', side: 'Left' },
+    { name: 'mouthFrownRight', region: 'mouth', side: 'Right' },
+    { name: 'mouthFunnel', region: 'mouth', side: null },
+    { name: 'mouthLeft', region: 'mouth', side: 'Left' },
+    { name: 'mouthLowerDownLeft', region: 'mouth', side: 'Left' },
+    { name: 'mouthLowerDownRight', region: 'mouth', side: 'Right' },
+    { name: 'mouthPressLeft', region: 'mouth', side: 'Left' },
+    { name: 'mouthPressRight', region: 'mouth', side: 'Right' },
+    { name: 'mouthPucker', region: 'mouth', side: null },
+    { name: 'mouthRight', region: 'mouth', side: 'Right' },
+    { name: 'mouthRollLower', region: 'mouth', side: null },
+    { name: 'mouthRollUpper', region: 'mouth', side: null },
+    { name: 'mouthShrugLower', region: 'mouth', side: null },
+    { name: 'mouthShrugUpper', region: 'mouth', side: null },
+    { name: 'mouthSmileLeft', region: 'mouth', side: 'Left' },
+    { name: 'mouthSmileRight', region: 'mouth', side: 'Right' },
+    { name: 'mouthStretchLeft', region: 'mouth', side: 'Left' },
+    { name: 'mouthStretchRight', region: 'mouth', side: 'Right' },
+    { name: 'mouthUpperUpLeft', region: 'mouth', side: 'Left' },
+    { name: 'mouthUpperUpRight', region: 'mouth', side: 'Right' },
+    { name: 'noseSneerLeft', region: 'nose', side: 'Left' },
+    { name: 'noseSneerRight', region: 'nose', side: 'Right' },
+    { name: 'tongueOut', region: 'tongue', side: null }
+];
+
+export const ARKIT_BLENDSHAPE_NAMES = BLENDSHAPE_REGISTRY.map(entry => entry.name);
+
+// Left/right counterparts, e.g. ['eyeBlinkLeft', 'eyeBlinkRight']
+export const BLENDSHAPE_PAIRS = BLENDSHAPE_REGISTRY
+    .filter(entry => entry.side === 'Left')
+    .map(entry => [entry.name, getMirrorName(entry.name)]);
+
+export function getBlendshape(name) {
+    return BLENDSHAPE_REGISTRY.find(entry => entry.name === name) || null;
+}
+
+export function getMirrorName(name) {
+    if (name.endsWith('Left')) return name.slice(0, -4) + 'Right';
+    if (name.endsWith('Right')) return name.slice(0, -5) + 'Left';
+    return name;
+}
+
+export function getBlendshapesByRegion(region) {
+    return BLENDSHAPE_REGISTRY.filter(entry => entry.region === region).map(entry => entry.name);
+}
@@ -0,0 +1,151 @@
+/**
+ * Calibration Profile
+ * Per-person ranges and response curves for the ARKit coefficients. Captures of the
+ * neutral face set where each coefficient rests; captures of extreme (or partial) poses
+ * set what that person's full (or partial) expression reads as. Values are remapped
+ * through a piecewise-linear curve between them, so a resting smile of 0.2 becomes 0 and
+ * an eyeWide that never passes 0.5 reaches 1.
+ */
+
+import { ARKIT_BLENDSHAPE_NAMES, getMirrorName } from './blendshape-registry.js';
+
+export const CALIBRATION_VERSION = 1;
+
+export class CalibrationProfile {
+    constructor(name = 'Calibration') {
+        this.name = name;
+        // { pose, strength, values }: pose is 'neutral', an ARKit name or a Left/Right pair stem
+        this.captures = [];
+        // Coefficient -> [[raw, calibrated], ...] in increasing order; others pass through unchanged
+        this.curves = {};
+    }
+
+    get isEmpty() {
+        return Object.keys(this.curves).length === 0;
+    }
+
+    /**
+     * Records the uncalibrated coefficients of one pose. strength is how far the pose
+     * goes, 1 for the strongest the person can make it.
+     */
+    addCapture(pose, values, strength = 1) {
+        const known = {};
+        ARKIT_BLENDSHAPE_NAMES.forEach(name => {
+            if (Number.isFinite(values[name])) known[name] = values[name];
+        });
+        this.captures.push({ pose, strength: Math.min(1, Math.max(0, strength)), values: known });
+        this.curves = this.buildCurves();
+    }
+
+    removeCapture(index) {
+        this.captures.splice(index, 1);
+        this.curves = this.buildCurves();
+    }
+
+    // Coefficients a pose drives: a pair stem drives both sides
+    static poseTargets(pose) {
+        if (pose === 'neutral') return [];
+        if (ARKIT_BLENDSHAPE_NAMES.includes(pose)) return [pose];
+        const left = pose + 'Left';
+        return ARKIT_BLENDSHAPE_NAMES.includes(left) ? [left, getMirrorName(left)] : [];
+    }
+
+    buildCurves() {
+        const neutral = this.captures.filter(capture => capture.pose === 'neutral');
+        const curves = {};
+
+        ARKIT_BLENDSHAPE_NAMES.forEach(name => {
+            const rests = neutral.map(capture => capture.values[name]).filter(Number.isFinite);
+            const extremes = this.captures
+                .filter(capture => CalibrationProfile.poseTargets(capture.pose).includes(name) && Number.isFinite(capture.values[name]))
+                .map(capture => [capture.values[name], capture.strength]);
+            if (rests.length === 0 && extremes.length === 0) return;
+
+            const rest = rests.length > 0 ? rests.reduce((sum, value) => sum + value, 0) / rests.length : 0;
+            const points = [[rest, 0]];
+            // Without an extreme capture the coefficient still reaches 1 at a raw 1
+            if (extremes.length === 0) extremes.push([1, 1]);
+            extremes.sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+            // Stronger poses must read higher; captures that don't are dropped
+            extremes.forEach(([raw, strength]) => {
+                const [lastRaw, lastStrength] = points[points.length - 1];
+                if (raw > lastRaw && strength > lastStrength) points.push([raw, strength]);
+            });
+            if (points.length > 1) curves[name] = points;
+        });
+
+        return curves;
+    }
+
+    /**
+     * Calibrated copy of a coefficient set. Beyond the captured poses the last segment
+     * is extended, and the result is clamped to 0..1.
+     */
+    apply(blendshapes) {
+        const calibrated = { ...blendshapes };
+        Object.entries(this.curves).forEach(([name, curve]) => {
+            if (Number.isFinite(calibrated[name])) calibrated[name] = evaluateCurve(curve, calibrated[name]);
+        });
+        return calibrated;
+    }
+
+    // Raw values where each coefficient rests (min) and reaches full strength (max)
+    getRanges() {
+        const ranges = {};
+        Object.entries(this.curves).forEach(([name, curve]) => {
+            // Extrapolated along the last segment when no full-strength pose was captured
+            const [a, b] = curve.slice(-2);
+            const max = b[1] >= 1 ? b[0] : a[0] + (1 - a[1]) * (b[0] - a[0]) / (b[1] - a[1]);
+            ranges[name] = { min: curve[0][0], max };
+        });
+        return ranges;
+    }
+
+    toJSON() {
+        const ranges = this.getRanges();
+        const coefficients = {};
+        Object.entries(this.curves).forEach(([name, curve]) => {
+            coefficients[name] = { ...ranges[name], curve };
+        });
+        return { version: CALIBRATION_VERSION, name: this.name, coefficients, captures: this.captures };
+    }
+
+    /**
+     * Profile from toJSON()'s output. Captures, when present, are replayed; otherwise the
+     * stored curves are taken as they are, so hand-written profiles work too.
+     */
+    static fromJSON(json) {
+        if (!json || typeof json !== 'object') throw new Error('Calibration profile must be a JSON object');
+        const profile = new CalibrationProfile(typeof json.name === 'string' && json.name ? json.name : 'Calibration');
+
+        if (Array.isArray(json.captures) && json.captures.length > 0) {
+            json.captures.forEach(capture => {
+                if (capture && typeof capture.pose === 'string' && capture.values) {
+                    profile.addCapture(capture.pose, capture.values, capture.strength ?? 1);
+                }
+            });
+            return profile;
+        }
+
+        Object.entries(json.coefficients || {}).forEach(([name, coefficient]) => {
+            if (!ARKIT_BLENDSHAPE_NAMES.includes(name)) return;
+            const curve = Array.isArray(coefficient.curve)
+                ? coefficient.curve.filter(point => Array.isArray(point) && point.every(Number.isFinite))
+                : [[coefficient.min ?? 0, 0], [coefficient.max ?? 1, 1]];
+            curve.sort((a, b) => a[0] - b[0]);
+            if (curve.length > 1 && curve.every(([raw], i) => i === 0 || raw > curve[i - 1][0])) profile.curves[name] = curve;
+        });
+        return profile;
+    }
+}
+
+// Held at the first point's output below the curve, extended along the last segment above it
+function evaluateCurve(curve, value) {
+    if (value <= curve[0][0]) return Math.min(1, Math.max(0, curve[0][1]));
+    let i = 1;
+    while (i < curve.length - 1 && value > curve[i][0]) i++;
+    const [x0, y0] = curve[i - 1];
+    const [x1, y1] = curve[i];
+    const result = y0 + (value - x0) * (y1 - y0) / (x1 - x0);
+    return Math.min(1, Math.max(0, result));
+}
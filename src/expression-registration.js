@@ -0,0 +1,131 @@
+/**
+ * Expression Registration
+ * Aligns the landmarks of an expression photo onto a reference (neutral) photo
+ * of the same person, so that what remains between them is the expression itself
+ */
+
+import * as THREE from 'three';
+import { HeadPose } from './head-pose.js';
+
+// Landmarks that barely move with expression: forehead, nose bridge and the sides of the face
+export const STABLE_LANDMARKS = [10, 151, 9, 8, 168, 6, 197, 195, 127, 356, 234, 454];
+
+export class ExpressionRegistration {
+    constructor(anchorIndices = STABLE_LANDMARKS) {
+        this.anchorIndices = anchorIndices;
+    }
+
+    /**
+     * Both photos are given as { landmarks, matrix, aspect }, where matrix is the
+     * MediaPipe facial transformation matrix and aspect is image width / height.
+     * Returns the expression landmarks in the reference photo's normalized coordinates.
+     */
+    register(reference, expression) {
+        const referencePose = this.poseRotation(reference.matrix);
+        const expressionPose = this.poseRotation(expression.matrix);
+
+        // Undo each photo's head pose, then fit the remaining offset on the stable landmarks
+        const referenceSpace = this.toCanonical(reference, referencePose);
+        const expressionSpace = this.toCanonical(expression, expressionPose);
+
+        const fit = this.fitSimilarity(
+            this.anchorIndices.map(i => expressionSpace.points[i]),
+            this.anchorIndices.map(i => referenceSpace.points[i])
+        );
+
+        return expressionSpace.points.map(point => {
+            const aligned = point.clone()
+                .applyQuaternion(fit.rotation)
+                .multiplyScalar(fit.scale)
+                .add(fit.translation);
+            return this.fromCanonical(aligned, reference, referencePose, referenceSpace.centroid);
+        });
+    }
+
+    poseRotation(matrix) {
+        return new HeadPose(matrix).rotation;
+    }
+
+    // Normalized image landmarks -> centered, pose-free 3D points (Y up, Z towards the camera)
+    toCanonical(photo, pose) {
+        const aspect = photo.aspect || 1;
+        const points = photo.landmarks.map(l => new THREE.Vector3(l.x * aspect, -l.y, -l.z * aspect));
+
+        const centroid = new THREE.Vector3();
+        points.forEach(p => centroid.add(p));
+        centroid.divideScalar(points.length);
+
+        const inverse = pose.clone().invert();
+        points.forEach(p => p.sub(centroid).applyQuaternion(inverse));
+
+        return { points, centroid };
+    }
+
+    fromCanonical(point, photo, pose, centroid) {
+        const aspect = photo.aspect || 1;
+        const p = point.clone().applyQuaternion(pose).add(centroid);
+        return { x: p.x / aspect, y: -p.y, z: -p.z / aspect };
+    }
+
+    /**
+     * Least-squares similarity transform (rotation, uniform scale, translation)
+     * mapping `source` onto `target`, using Horn's quaternion method.
+     */
+    fitSimilarity(source, target) {
+        const sourceCenter = new THREE.Vector3();
+        const targetCenter = new THREE.Vector3();
+        source.forEach(p => sourceCenter.add(p));
+        target.forEach(p => targetCenter.add(p));
+        sourceCenter.divideScalar(source.length);
+        targetCenter.divideScalar(target.length);
+
+        // Cross-covariance terms
+        let sxx = 0, sxy = 0, sxz = 0, syx = 0, syy = 0, syz = 0, szx = 0, szy = 0, szz = 0;
+        let sourceSpread = 0, targetSpread = 0;
+        source.forEach((p, i) => {
+            const a = p.clone().sub(sourceCenter);
+            const b = target[i].clone().sub(targetCenter);
+            sxx += a.x * b.x; sxy += a.x * b.y; sxz += a.x * b.z;
+            syx += a.y * b.x; syy += a.y * b.y; syz += a.y * b.z;
+            szx += a.z * b.x; szy += a.z * b.y; szz += a.z * b.z;
+            sourceSpread += a.lengthSq();
+            targetSpread += b.lengthSq();
+        });
+
+        const n = [
+            [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+            [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+            [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+            [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz]
+        ];
+        const [w, x, y, z] = dominantEigenvector(n);
+        const rotation = new THREE.Quaternion(x, y, z, w).normalize();
+
+        const scale = sourceSpread > 0 ? Math.sqrt(targetSpread / sourceSpread) : 1;
+        const translation = targetCenter.clone().sub(
+            sourceCenter.clone().applyQuaternion(rotation).multiplyScalar(scale)
+        );
+
+        return { rotation, scale, translation };
+    }
+}
+
+// Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix (shifted power iteration)
+function dominantEigenvector(matrix) {
+    // Shifting by the Frobenius norm makes every eigenvalue non-negative
+    let shift = 0;
+    matrix.forEach(row => row.forEach(value => { shift += value * value; }));
+    shift = Math.sqrt(shift);
+
+    let vector = [1, 0, 0, 0];
+    for (let iteration = 0; iteration < 200; iteration++) {
+        const next = matrix.map((row, r) =>
+            row.reduce((sum, value, c) => sum + value * vector[c], 0) + shift * vector[r]
+        );
+        const length = Math.hypot(...next);
+        if (length === 0) break;
+        vector = next.map(value => value / length);
+    }
+
+    return vector;
+}
@@ -0,0 +1,61 @@
+/**
+ * Eye Gaze
+ * Per-eye gaze angles relative to the head. The iris offset from the eye's center, read
+ * on canonical-space landmarks, gives an angle on a typical eyeball; the eyeLook*
+ * coefficients give another. With iris landmarks the two are averaged, without them the
+ * coefficients are used alone.
+ */
+
+import { LandmarkBlendshapeSolver } from './landmark-blendshape-solver.js';
+
+// Eyeball radius over eye width (about 12 mm over 30 mm), turning iris offsets into angles
+const EYEBALL_TO_EYE_WIDTH = 0.4;
+
+// Gaze angles in degrees that eyeLook* coefficients of 1 stand for
+const LOOK_RANGE = { yaw: 30, pitch: 25 };
+
+export class EyeGaze {
+    constructor() {
+        this.solver = new LandmarkBlendshapeSolver();
+    }
+
+    /**
+     * Gaze of each eye ('Left', 'Right') as { yaw, pitch } in degrees, in the head's frame:
+     * yaw towards +x (the photo's right), pitch up. landmarks are canonical-space ones
+     * (HeadPose.frontalize); aspect is the photo's width over its height.
+     */
+    estimate(landmarks, blendshapes, aspect = 1) {
+        const m = this.solver.measure(this.solver.faceFrame(landmarks, aspect), landmarks.length);
+        const gaze = {};
+
+        ['Left', 'Right'].forEach(side => {
+            // The solver measures outwards; Left is the -x side
+            const s = side === 'Left' ? -1 : 1;
+            const look = name => blendshapes['eyeLook' + name + side] ?? 0;
+            const fromCoefficients = {
+                yaw: s * (look('Out') - look('In')) * LOOK_RANGE.yaw,
+                pitch: (look('Up') - look('Down')) * LOOK_RANGE.pitch
+            };
+            if (!m[side].hasIris) {
+                gaze[side] = fromCoefficients;
+                return;
+            }
+            const fromIris = {
+                yaw: toAngle(s * m[side].irisOut),
+                pitch: toAngle(m[side].irisUp)
+            };
+            gaze[side] = {
+                yaw: (fromIris.yaw + fromCoefficients.yaw) / 2,
+                pitch: (fromIris.pitch + fromCoefficients.pitch) / 2
+            };
+        });
+
+        return gaze;
+    }
+}
+
+// Iris offset over eye width to degrees of eyeball rotation
+function toAngle(offset) {
+    const sine = Math.min(1, Math.max(-1, offset / EYEBALL_TO_EYE_WIDTH));
+    return Math.asin(sine) * 180 / Math.PI;
+}
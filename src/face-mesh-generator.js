@@ -1,41 +1,77 @@
 import * as THREE from 'three';
 import { FACEMESH_TESSELATION } from './face-mesh-triangulation.js';
-
-const MORPH_TARGET_NAMES = [
-    'eyeBlinkLeft', 'eyeBlinkRight', 'eyeLookUpLeft', 'eyeLookUpRight',
-    'eyeLookDownLeft', 'eyeLookDownRight', 'eyeLookInLeft', 'eyeLookInRight',
-    'eyeLookOutLeft', 'eyeLookOutRight', 'eyeSquintLeft', 'eyeSquintRight',
-    'eyeWideLeft', 'eyeWideRight', 'browDownLeft', 'browDownRight',
-    'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight', 'jawOpen',
-    'jawForward', 'jawLeft', 'jawRight', 'mouthClose', 'mouthFunnel',
-    'mouthPucker', 'mouthLeft', 'mouthRight', 'mouthSmileLeft', 'mouthSmileRight',
-    'mouthFrownLeft', 'mouthFrownRight', 'mouthUpperUpLeft', 'mouthUpperUpRight',
-    'mouthLowerDownLeft', 'mouthLowerDownRight', 'cheekPuff', 'cheekSquintLeft',
-    'cheekSquintRight', 'noseSneerLeft', 'noseSneerRight', 'tongueOut'
-];
+import { MorphTargetDeformer } from './morph-target-deformer.js';
+import { InteriorGeometryGenerator } from './interior-geometry-generator.js';
+import { MeshSubdivider } from './mesh-subdivider.js';
+import { HeadGeometryGenerator } from './head-geometry-generator.js';
+import { TextureMapper } from './texture-mapper.js';
+import { TextureBaker } from './texture-baker.js';
+import { HeadPose } from './head-pose.js';
+import { ARKIT_BLENDSHAPE_NAMES } from './blendshape-registry.js';
 
 export class FaceMeshGenerator {
-    constructor() {
+    constructor(options = {}) {
+        // Displacements shorter than this (mesh units) are treated as "not moving"
+        this.morphTolerance = options.morphTolerance ?? 1e-4;
+        // Remove the photo's expression from the base mesh and keep it only as influences
+        this.neutralize = options.neutralize ?? false;
+        // Fill the eye and mouth openings with eyeballs, teeth and a tongue
+        this.interior = options.interior ?? false;
+        // Photo the eye and teeth textures are taken from; without it they are drawn procedurally
+        this.photo = options.photo ?? null;
+        // Loop subdivision levels applied to the displayed mesh (0 = landmark mesh)
+        this.subdivisions = options.subdivisions ?? 0;
+        this.subdivider = new MeshSubdivider();
+        this.subdividedGeometries = new Map();
+        // Bake normal and ambient occlusion maps for the face material
+        this.bakeMaps = options.bakeMaps ?? false;
+        this.bakedMaps = null;
+        // Feathered face mask (canvas), used as the material's alpha map
+        this.alphaMask = options.alphaMask ?? null;
+        // Material copies for other subdivision levels and opaque use, by level and opacity
+        this.materialVariants = new Map();
+        // 'model' leaves the head to head.glb, 'procedural' grows a skull from the face contour
+        this.headMode = options.headMode ?? 'model';
+        this.headOptions = options.headOptions ?? {};
+        this.headMaterial = null;
+        // Photo head pose; the mesh is built with it removed, in canonical face space
+        this.pose = new HeadPose(null);
         this.baseVertices = null;
+        this.capturedVertices = null;
+        this.deformer = null;
+        this.interiorGenerator = null;
+        this.exampleDisplacements = {};
         this.geometry = null;
         this.material = null;
         this.mesh = null;
         this.skinColor = { r: 0.85, g: 0.75, b: 0.65 }; // Default warm skin tone
     }
     
-    generateWithMorphTargets(landmarks, blendshapes, transformMatrix, textureCanvas) {
+    /**
+     * options.examples: [{ target, landmarks }] captured expressions, already registered
+     * onto `landmarks`. `target` is a blendshape name or a left/right pair stem such as
+     * 'mouthSmile', which is split across both sides.
+     * options.pose: the photo's HeadPose. Positions and morph targets are measured on the
+     * landmarks with it removed, so they do not depend on how the head was turned.
+     */
+    generateWithMorphTargets(landmarks, blendshapes, transformMatrix, textureCanvas, options = {}) {
         this.geometry = new THREE.BufferGeometry();
+        this.subdividedGeometries.forEach(geometry => geometry.dispose());
+        this.subdividedGeometries.clear();
         
         // Sample skin color for external use (Head Model)
         this.skinColor = this.sampleSkinColorFromTexture(textureCanvas);
         console.log('Sampled Skin Color:', this.skinColor);
         
-        // Calculate bounds for geometry AND UV mapping
+        this.pose = options.pose ?? new HeadPose(null);
+        const faceLandmarks = this.pose.frontalize(landmarks);
+        
+        // Calculate bounds for geometry
         let minX = Infinity, maxX = -Infinity;
         let minY = Infinity, maxY = -Infinity;
         let minZ = Infinity, maxZ = -Infinity;
         
-        landmarks.forEach(landmark => {
+        faceLandmarks.forEach(landmark => {
             minX = Math.min(minX, landmark.x);
             maxX = Math.max(maxX, landmark.x);
             minY = Math.min(minY, landmark.y);
@@ -59,41 +95,30 @@ export class FaceMeshGenerator {
         // 1.5 provides good volume without distortion.
         const scaleZ = Math.max(scaleX, scaleY) * 1.5; 
         
-        // Calculate texture crop bounds
-        const padding = 0.2;
-        const faceWidth = maxX - minX;
-        const faceHeight = maxY - minY;
-        const cropSize = Math.max(faceWidth, faceHeight) * (1 + padding);
-        const textureCenterX = centerX;
-        const textureCenterY = centerY;
-        const textureMinX = textureCenterX - cropSize / 2;
-        const textureMinY = textureCenterY - cropSize / 2;
+        this.meshSpace = { centerX, centerY, centerZ, scaleX: correctedScaleX, scaleY, scaleZ };
         
         // Generate ONLY face vertices
         const vertices = [];
         const colors = [];
-        const uvs = [];
         
-        landmarks.forEach(landmark => {
+        faceLandmarks.forEach(landmark => {
             // Position
-            const x = (landmark.x - centerX) / correctedScaleX * 2;
-            const y = -(landmark.y - centerY) / scaleY * 2;
-            const z = -((landmark.z - centerZ) / scaleZ * 2);
-            vertices.push(x, y, z);
+            vertices.push(...this.toMeshSpace(landmark));
             
             // Color (white for texture)
             colors.push(1, 1, 1);
-            
-            // UV
-            const u = (landmark.x - textureMinX) / cropSize;
-            const v = 1.0 - (landmark.y - textureMinY) / cropSize;
-            uvs.push(u, v);
         });
         
-        this.baseVertices = Float32Array.from(vertices);
+        // Canonical MediaPipe layout, the same for every photo; the texture is warped into it
+        const uvs = TextureMapper.createUVMapping(landmarks);
+        
+        this.capturedVertices = Float32Array.from(vertices);
+        this.baseVertices = this.neutralize
+            ? this.neutralizePositions(this.capturedVertices, blendshapes)
+            : this.capturedVertices;
         
         // Set attributes
-        this.geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        this.geometry.setAttribute('position', new THREE.Float32BufferAttribute(this.baseVertices, 3));
         this.geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
         this.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
         
@@ -112,7 +137,23 @@ export class FaceMeshGenerator {
         this.geometry.computeVertexNormals();
         
         // Morph targets
-        this.createMorphTargets(landmarks, blendshapes, centerX, centerY, centerZ, correctedScaleX, scaleY, scaleZ);
+        this.createMorphTargets(options.examples || []);
+        
+        // Baked on the face alone, before a skull is attached
+        if (this.bakeMaps) this.bakedMaps = this.bakeFaceMaps(textureCanvas);
+        
+        // The skull shares the contour vertices, so it is built on the face before subdivision
+        if (this.headMode === 'procedural') {
+            const faceGeometry = this.geometry;
+            this.geometry = new HeadGeometryGenerator(this.headOptions).generateCompleteHead(faceGeometry, this.skinColor);
+            faceGeometry.dispose();
+            this.headMaterial = new THREE.MeshStandardMaterial({
+                color: new THREE.Color(this.skinColor.r, this.skinColor.g, this.skinColor.b),
+                roughness: 0.6,
+                metalness: 0.0,
+                side: THREE.FrontSide
+            });
+        }
         
         // Texture
         const texture = new THREE.CanvasTexture(textureCanvas);
@@ -133,8 +174,19 @@ export class FaceMeshGenerator {
             transparent: true, 
             alphaTest: 0.1     
         });
+        if (this.alphaMask) {
+            this.material.alphaMap = new THREE.CanvasTexture(this.alphaMask);
+            // Keep the whole feather; only fully transparent texels are discarded
+            this.material.alphaTest = 0.01;
+        }
+        if (this.bakedMaps) {
+            this.material.normalMap = this.bakedMaps.normalMap;
+            this.material.aoMap = this.bakedMaps.aoMap;
+        }
         
-        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh = new THREE.Mesh(this.geometry, this.getMeshMaterial());
+        // Subdivision keeps the target names and order, so the morph dictionary still applies
+        this.setSubdivisionLevel(this.subdivisions);
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
         
@@ -143,13 +195,20 @@ export class FaceMeshGenerator {
         this.mesh.userData.faceHeight = 2.0;
         this.mesh.userData.aspectRatio = (maxX - minX) / (maxY - minY);
         this.mesh.userData.skinColor = this.skinColor; // Export color
+        this.mesh.userData.neutralized = this.neutralize;
+        this.mesh.userData.exampleTargets = Object.keys(this.exampleDisplacements);
+        
+        // Children share the face's local space, so they follow every face transform
+        if (this.interior) {
+            const photo = this.photo
+                ? { image: this.photo, landmarks, toImage: point => this.toImageSpace(point) }
+                : null;
+            this.interiorGenerator = new InteriorGeometryGenerator(this.deformer, { photo });
+            this.mesh.add(this.interiorGenerator.generate());
+        }
         
         // Apply blendshapes
-        Object.entries(blendshapes).forEach(([name, value], index) => {
-            if (this.mesh.morphTargetInfluences && index < this.mesh.morphTargetInfluences.length) {
-                this.mesh.morphTargetInfluences[index] = value;
-            }
-        });
+        this.applyBlendshapes(this.mesh, blendshapes);
         
         if (transformMatrix) {
             this.applyTransformMatrix(transformMatrix);
@@ -213,53 +272,234 @@ export class FaceMeshGenerator {
         };
     }
     
-    createMorphTargets(landmarks, blendshapes, centerX, centerY, centerZ, scaleX, scaleY, scaleZ) {
+    toMeshSpace(landmark) {
+        const { centerX, centerY, centerZ, scaleX, scaleY, scaleZ } = this.meshSpace;
+        return [
+            (landmark.x - centerX) / scaleX * 2,
+            -(landmark.y - centerY) / scaleY * 2,
+            -((landmark.z - centerZ) / scaleZ * 2)
+        ];
+    }
+
+    // Inverse of toMeshSpace with the head pose put back: the normalized photo position a point of the mesh's local space projects to
+    toImageSpace(point) {
+        const { centerX, centerY, centerZ, scaleX, scaleY, scaleZ } = this.meshSpace;
+        return this.pose.toPhoto({
+            x: centerX + point.x * scaleX / 2,
+            y: centerY - point.y * scaleY / 2,
+            z: centerZ - point.z * scaleZ / 2
+        });
+    }
+    
+    createMorphTargets(examples = []) {
         const morphTargets = [];
         const morphTargetNames = [];
         
-        MORPH_TARGET_NAMES.forEach(blendshapeName => {
-            const morphPositions = this.calculateMorphTarget(
-                landmarks, blendshapeName, centerX, centerY, centerZ, scaleX, scaleY, scaleZ
-            );
+        // Displacements are measured on this face, so every target scales with its proportions
+        const deformer = new MorphTargetDeformer(this.baseVertices);
+        this.deformer = deformer;
+        this.exampleDisplacements = this.buildExampleDisplacements(examples, deformer);
+        
+        ARKIT_BLENDSHAPE_NAMES.forEach(blendshapeName => {
+            const morphDeltas = this.calculateMorphTarget(deformer, blendshapeName);
             
-            morphTargets.push({ name: blendshapeName, vertices: morphPositions });
+            morphTargets.push({ name: blendshapeName, vertices: morphDeltas });
             morphTargetNames.push(blendshapeName);
         });
         
         morphTargets.forEach((target, index) => {
             this.geometry.morphAttributes.position = this.geometry.morphAttributes.position || [];
-            this.geometry.morphAttributes.position[index] = new THREE.Float32BufferAttribute(target.vertices, 3);
+            const attribute = new THREE.Float32BufferAttribute(target.vertices, 3);
+            // Mesh.updateMorphTargets() builds morphTargetDictionary from these names
+            attribute.name = target.name;
+            this.geometry.morphAttributes.position[index] = attribute;
         });
         
-        this.geometry.morphTargetsRelative = false;
+        // Targets hold deltas, so untouched vertices are exact zeros the exporter can skip
+        this.geometry.morphTargetsRelative = true;
         this.geometry.userData.targetNames = morphTargetNames;
     }
     
-    calculateMorphTarget(landmarks, blendshapeName, centerX, centerY, centerZ, scaleX, scaleY, scaleZ) {
-        const vertices = [];
-        const multiplier = 0.1;
+    /**
+     * Recovers the rest pose from an expressive capture by subtracting the detected
+     * expression: neutral = captured - sum(weight * delta). Deltas are measured on the
+     * face they deform, so the estimate is refined by re-measuring on the result;
+     * the update is damped because lid and jaw masks react strongly to the pose.
+     */
+    neutralizePositions(captured, blendshapes, iterations = 6, damping = 0.5) {
+        let neutral = captured;
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const deformer = new MorphTargetDeformer(neutral);
+            const next = Float32Array.from(captured);
+            
+            Object.entries(blendshapes).forEach(([name, weight]) => {
+                if (!(weight > 0.01)) return;
+                const displacement = deformer.buildTarget(name);
+                for (let i = 0; i < next.length; i++) {
+                    next[i] -= weight * displacement[i];
+                }
+            });
+            
+            for (let i = 0; i < next.length; i++) {
+                next[i] = neutral[i] + (next[i] - neutral[i]) * damping;
+            }
+            neutral = next;
+        }
+        
+        return neutral;
+    }
+    
+    // Captured expression photos take precedence over the synthetic displacement
+    calculateMorphTarget(deformer, blendshapeName) {
+        const displacement = this.exampleDisplacements[blendshapeName] || deformer.buildTarget(blendshapeName);
+        return this.pruneDisplacement(displacement);
+    }
+    
+    /**
+     * Examples are registered onto the photo's landmarks, so they are measured against the
+     * captured positions even when the base is neutralized: an example identical to the
+     * photo gives a zero target.
+     */
+    buildExampleDisplacements(examples, deformer) {
+        const displacements = {};
+        const captured = this.capturedVertices;
+        const vertexCount = captured.length / 3;
         
-        landmarks.forEach((landmark, index) => {
-            let x = (landmark.x - centerX) / scaleX * 2;
-            let y = -(landmark.y - centerY) / scaleY * 2;
-            let z = -((landmark.z - centerZ) / scaleZ * 2);
+        examples.forEach(({ target, landmarks }) => {
+            const displacement = new Float32Array(captured.length);
+            this.pose.frontalize(landmarks.slice(0, vertexCount)).forEach((landmark, i) => {
+                const [x, y, z] = this.toMeshSpace(landmark);
+                displacement[i * 3] = x - captured[i * 3];
+                displacement[i * 3 + 1] = y - captured[i * 3 + 1];
+                displacement[i * 3 + 2] = z - captured[i * 3 + 2];
+            });
             
-            switch(blendshapeName) {
-                case 'jawOpen':
-                    if (y < 0) y -= multiplier * 0.5;
-                    break;
-                case 'eyeBlinkLeft':
-                    if (index >= 33 && index <= 133) y -= multiplier * 0.2;
-                    break;
-                case 'eyeBlinkRight':
-                    if (index >= 362 && index <= 398) y -= multiplier * 0.2;
-                    break;
+            if (ARKIT_BLENDSHAPE_NAMES.includes(target)) {
+                displacements[target] = displacement;
+                return;
             }
             
-            vertices.push(x, y, z);
+            // Pair stem: each side keeps its half of the face
+            ['Left', 'Right'].forEach(side => {
+                const name = target + side;
+                if (!ARKIT_BLENDSHAPE_NAMES.includes(name)) return;
+                const half = deformer.sideMask(side);
+                displacements[name] = displacement.map((value, i) => value * half[Math.floor(i / 3)]);
+            });
         });
         
-        return Float32Array.from(vertices);
+        return displacements;
+    }
+    
+    // Zeroes vertices that move less than morphTolerance
+    pruneDisplacement(displacement) {
+        const toleranceSq = this.morphTolerance * this.morphTolerance;
+        
+        for (let i = 0; i < displacement.length; i += 3) {
+            const lengthSq = displacement[i] ** 2 + displacement[i + 1] ** 2 + displacement[i + 2] ** 2;
+            if (lengthSq <= toleranceSq) {
+                displacement[i] = 0;
+                displacement[i + 1] = 0;
+                displacement[i + 2] = 0;
+            }
+        }
+        
+        return displacement;
+    }
+    
+    /**
+     * Smoothed copy of the generated geometry, cached per level.
+     * Level 0 is the landmark mesh itself.
+     */
+    getSubdividedGeometry(level) {
+        if (!level || !this.geometry) return this.geometry;
+        if (!this.subdividedGeometries.has(level)) {
+            this.subdividedGeometries.set(level, this.subdivider.subdivide(this.geometry, level));
+        }
+        return this.subdividedGeometries.get(level);
+    }
+    
+    /**
+     * Normal, detail normal and occlusion textures baked from the landmark mesh, a
+     * two-level subdivision of it and the face texture.
+     */
+    bakeFaceMaps(textureCanvas) {
+        const surface = new THREE.BufferGeometry();
+        ['position', 'normal', 'uv'].forEach(name => surface.setAttribute(name, this.geometry.attributes[name]));
+        surface.setIndex(this.geometry.index);
+        const subdivided = this.subdivider.subdivide(surface, 2);
+        const maps = new TextureBaker().bake(surface, subdivided, textureCanvas);
+        subdivided.dispose();
+        
+        return Object.fromEntries(Object.entries(maps).map(([name, canvas]) => {
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.minFilter = THREE.LinearFilter;
+            texture.magFilter = THREE.LinearFilter;
+            return [name, texture];
+        }));
+    }
+    
+    // Subdivided meshes already carry the geometric detail; they only get the photo relief
+    normalMapFor(level) {
+        return level > 0 ? this.bakedMaps.detailNormalMap : this.bakedMaps.normalMap;
+    }
+    
+    /**
+     * Face material for a subdivision level (a copy when it differs from the displayed level).
+     * `opaque` leaves out the feathered edge, for meshes where the face continues into a
+     * head instead of lying over one; fading there would open a gap onto the inside.
+     */
+    getFaceMaterial(level = this.subdivisions, opaque = false) {
+        const normalMap = this.bakedMaps ? this.normalMapFor(level) : this.material.normalMap;
+        const feathered = !opaque && !!this.material.alphaMap;
+        if (normalMap === this.material.normalMap && (feathered || !this.material.alphaMap)) return this.material;
+        
+        const key = `${level}:${feathered}`;
+        if (!this.materialVariants.has(key)) {
+            const material = this.material.clone();
+            material.normalMap = normalMap;
+            if (!feathered && this.material.alphaMap) {
+                material.alphaMap = null;
+                material.transparent = false;
+                material.alphaTest = 0;
+            }
+            this.materialVariants.set(key, material);
+        }
+        return this.materialVariants.get(key);
+    }
+    
+    // Face material, plus the skin material of the procedural skull when there is one
+    getMeshMaterial(level = this.subdivisions) {
+        if (!this.headMaterial) return this.getFaceMaterial(level);
+        // The skull shares the face's contour, so the face edge stays opaque
+        return [this.getFaceMaterial(level, true), this.headMaterial];
+    }
+    
+    // The face geometry at the current subdivision level
+    getFaceGeometry() {
+        return this.getSubdividedGeometry(this.subdivisions);
+    }
+    
+    setSubdivisionLevel(level) {
+        this.subdivisions = level;
+        if (this.mesh) this.mesh.geometry = this.getSubdividedGeometry(level);
+        if (this.bakedMaps) this.material.normalMap = this.normalMapFor(level);
+    }
+    
+    /**
+     * Writes blendshape values into the influences of the mesh and its children
+     * (eyes, teeth, tongue), looked up by target name. Names without a morph target are ignored.
+     */
+    applyBlendshapes(mesh, blendshapes) {
+        mesh.traverse(object => {
+            if (!object.morphTargetDictionary || !object.morphTargetInfluences) return;
+            
+            Object.entries(blendshapes).forEach(([name, value]) => {
+                const index = object.morphTargetDictionary[name];
+                if (index !== undefined) object.morphTargetInfluences[index] = value;
+            });
+        });
     }
     
     applyTransformMatrix(matrix) {
@@ -277,10 +517,18 @@ export class FaceMeshGenerator {
     }
     
     dispose() {
+        if (this.interiorGenerator) this.interiorGenerator.dispose();
+        this.subdividedGeometries.forEach(geometry => geometry.dispose());
+        this.subdividedGeometries.clear();
         if (this.geometry) this.geometry.dispose();
         if (this.material) {
             if (this.material.map) this.material.map.dispose();
+            if (this.material.alphaMap) this.material.alphaMap.dispose();
             this.material.dispose();
         }
+        this.materialVariants.forEach(material => material.dispose());
+        this.materialVariants.clear();
+        if (this.headMaterial) this.headMaterial.dispose();
+        if (this.bakedMaps) Object.values(this.bakedMaps).forEach(texture => texture.dispose());
     }
 }
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Face Regions
+ * Named landmark index groups of the MediaPipe Face Mesh used to build region masks.
+ * Sides follow the blendshape naming used across the app: "Left" is the image-left
+ * half of the face (negative X in mesh space), which is how MediaPipe reports them.
+ */
+
+export const FACE_REGIONS = {
+    // Eyelid rings, each ordered from the outer to the inner eye corner.
+    // Ring 0 sits on the lid margin, rings 1 and 2 step outwards onto the lid skin.
+    eyes: {
+        Left: {
+            upper: [
+                [246, 161, 160, 159, 158, 157, 173],
+                [247, 30, 29, 27, 28, 56, 190],
+                [113, 225, 224, 223, 222, 221, 189]
+            ],
+            lower: [
+                [7, 163, 144, 145, 153, 154, 155],
+                [25, 110, 24, 23, 22, 26, 112],
+                [31, 228, 229, 230, 231, 232, 233]
+            ],
+            outerCorner: 33,
+            innerCorner: 133,
+            iris: [468, 469, 470, 471, 472]
+        },
+        Right: {
+            upper: [
+                [466, 388, 387, 386, 385, 384, 398],
+                [467, 260, 259, 257, 258, 286, 414],
+                [342, 445, 444, 443, 442, 441, 413]
+            ],
+            lower: [
+                [249, 390, 373, 374, 380, 381, 382],
+                [255, 339, 254, 253, 252, 256, 341],
+                [261, 448, 449, 450, 451, 452, 453]
+            ],
+            outerCorner: 263,
+            innerCorner: 362,
+            iris: [473, 474, 475, 476, 477]
+        }
+    },
+
+    // Brow rows ordered from the outer to the inner end
+    brows: {
+        Left: {
+            upper: [70, 63, 105, 66, 107],
+            lower: [46, 53, 52, 65, 55],
+            inner: [107, 66, 55, 65],
+            outer: [70, 63, 46, 53]
+        },
+        Right: {
+            upper: [300, 293, 334, 296, 336],
+            lower: [276, 283, 282, 295, 285],
+            inner: [336, 296, 285, 295],
+            outer: [300, 293, 276, 283]
+        }
+    },
+
+    // Lip contours ordered from the left to the right corner, corners excluded
+    lips: {
+        upperOuter: [185, 40, 39, 37, 0, 267, 269, 270, 409],
+        upperInner: [191, 80, 81, 82, 13, 312, 311, 310, 415],
+        lowerOuter: [146, 91, 181, 84, 17, 314, 405, 321, 375],
+        lowerInner: [95, 88, 178, 87, 14, 317, 402, 318, 324],
+        Left: { corners: [61, 78] },
+        Right: { corners: [291, 308] },
+        upperCenter: 13,
+        lowerCenter: 14
+    },
+
+    nose: {
+        tip: [1, 4],
+        bridge: [6, 168, 197, 195, 5],
+        Left: {
+            wing: [98, 64, 48, 115, 129, 102, 49, 219],
+            crease: [209, 198, 131, 134, 236, 196]
+        },
+        Right: {
+            wing: [327, 294, 278, 344, 358, 331, 279, 439],
+            crease: [429, 420, 360, 363, 456, 419]
+        }
+    },
+
+    cheeks: {
+        Left: [50, 101, 36, 205, 187, 123, 117, 118, 119, 100, 47],
+        Right: [280, 330, 266, 425, 411, 352, 346, 347, 348, 329, 277]
+    },
+
+    chin: [152, 175, 199, 200, 18],
+
+    // Outer contour of the tessellation, clockwise in the image from the forehead top
+    faceOval: [
+        10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377,
+        152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109
+    ],
+    forehead: [10, 151, 9, 108, 337, 109, 338, 67, 297, 69, 299],
+    foreheadTop: 10
+};
@@ -0,0 +1,59 @@
+/**
+ * Frame Data
+ * One frame of animation data: the coefficients under the names of the selected rig, the
+ * head pose and the eye gaze, written as JSON or as a CSV header and row for animation
+ * tools that read curves.
+ */
+
+export const FRAME_DATA_VERSION = 1;
+
+export class FrameData {
+    /**
+     * blendshapes maps names to values; headPose is HeadPose.toJSON() and eyeGaze
+     * EyeGaze.estimate()'s result, both optional. Angles are in degrees.
+     */
+    constructor({ blendshapes, headPose = null, eyeGaze = null, rig = 'ARKit' }) {
+        this.blendshapes = blendshapes;
+        this.headPose = headPose;
+        this.eyeGaze = eyeGaze;
+        this.rig = rig;
+    }
+
+    toJSON() {
+        return {
+            version: FRAME_DATA_VERSION,
+            rig: this.rig,
+            blendshapes: this.blendshapes,
+            headPose: this.headPose,
+            eyeGaze: this.eyeGaze
+        };
+    }
+
+    // Curve names and values in column order: coefficients, then head, then eyes
+    getColumns() {
+        const columns = Object.entries(this.blendshapes);
+        if (this.headPose) {
+            const { yaw, pitch, roll, translation } = this.headPose;
+            columns.push(['headYaw', yaw], ['headPitch', pitch], ['headRoll', roll],
+                ['headX', translation.x], ['headY', translation.y], ['headZ', translation.z]);
+        }
+        if (this.eyeGaze) {
+            Object.entries(this.eyeGaze).forEach(([side, { yaw, pitch }]) => {
+                columns.push([`eye${side}Yaw`, yaw], [`eye${side}Pitch`, pitch]);
+            });
+        }
+        return columns;
+    }
+
+    toCSV() {
+        const columns = this.getColumns();
+        const header = columns.map(([name]) => escapeCSV(name)).join(',');
+        const row = columns.map(([, value]) => Number(value.toFixed(6))).join(',');
+        return header + '\n' + row + '\n';
+    }
+}
+
+// Quotes names that a custom retargeting profile may give commas, quotes or line breaks
+function escapeCSV(text) {
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
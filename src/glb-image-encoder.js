@@ -0,0 +1,145 @@
+/**
+ * GLB Image Encoder
+ * Re-encodes the images embedded in a binary glTF as JPEG or WebP at a chosen quality.
+ * GLTFExporter writes PNG (or JPEG at a fixed quality, and never WebP), so the exported
+ * GLB is rewritten afterwards: every image is decoded, encoded again by the browser and
+ * the binary chunk repacked. WebP images are referenced through EXT_texture_webp.
+ *
+ * Usage: const glb = await new GLBImageEncoder({ mimeType: 'image/jpeg', quality: 0.8 }).encode(arrayBuffer)
+ */
+
+export const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+const GLB_MAGIC = 0x46546c67;
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+export class GLBImageEncoder {
+    constructor(options = {}) {
+        this.mimeType = IMAGE_MIME_TYPES.includes(options.mimeType) ? options.mimeType : 'image/png';
+        // Encoder quality, 0 to 1; PNG ignores it
+        this.quality = Math.min(1, Math.max(0, options.quality ?? 0.9));
+    }
+
+    async encode(glb) {
+        const { json, bin } = parseGLB(glb);
+        const images = json.images || [];
+        if (!bin || images.length === 0) return glb;
+
+        const views = json.bufferViews.map(view => bin.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength));
+        const webpImages = new Set();
+
+        for (const [index, image] of images.entries()) {
+            if (image.bufferView === undefined || image.mimeType === this.mimeType) continue;
+            const encoded = await this.encodeImage(views[image.bufferView], image.mimeType);
+            if (!encoded) continue;
+            // GLTFExporter gives every image a buffer view of its own
+            views[image.bufferView] = encoded;
+            image.mimeType = this.mimeType;
+            if (this.mimeType === 'image/webp') webpImages.add(index);
+        }
+
+        if (webpImages.size > 0) {
+            (json.textures || []).forEach(texture => {
+                if (!webpImages.has(texture.source)) return;
+                texture.extensions = { ...texture.extensions, EXT_texture_webp: { source: texture.source } };
+                delete texture.source;
+            });
+            // There is no fallback image, so loaders without WebP support must refuse the file
+            json.extensionsUsed = [...new Set([...(json.extensionsUsed || []), 'EXT_texture_webp'])];
+            json.extensionsRequired = [...new Set([...(json.extensionsRequired || []), 'EXT_texture_webp'])];
+        }
+
+        return buildGLB(json, views);
+    }
+
+    /**
+     * Bytes of the image re-encoded as this.mimeType, or null to keep the original:
+     * when the browser cannot encode the format, or when JPEG would drop transparency.
+     */
+    async encodeImage(bytes, mimeType) {
+        // Normal and occlusion maps are data, not colors: no premultiplication or color management
+        const bitmap = await createImageBitmap(new Blob([bytes], { type: mimeType }), {
+            premultiplyAlpha: 'none',
+            colorSpaceConversion: 'none'
+        });
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        if (this.mimeType === 'image/jpeg' && hasTransparency(ctx.getImageData(0, 0, canvas.width, canvas.height).data)) {
+            return null;
+        }
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, this.mimeType, this.quality));
+        // Browsers that cannot write a format silently fall back to PNG
+        if (!blob || blob.type !== this.mimeType) return null;
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+}
+
+function parseGLB(glb) {
+    const data = new DataView(glb);
+    if (data.getUint32(0, true) !== GLB_MAGIC) throw new Error('Not a binary glTF file');
+
+    let json = null;
+    let bin = null;
+    for (let offset = 12; offset < data.byteLength;) {
+        const length = data.getUint32(offset, true);
+        const type = data.getUint32(offset + 4, true);
+        const chunk = new Uint8Array(glb, offset + 8, length);
+        if (type === CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(chunk));
+        else if (type === CHUNK_BIN) bin = chunk;
+        offset += 8 + length;
+    }
+    return { json, bin };
+}
+
+// Packs the buffer views back to back (4-byte aligned) and writes a new GLB
+function buildGLB(json, views) {
+    let byteLength = 0;
+    json.bufferViews.forEach((view, i) => {
+        view.byteOffset = byteLength;
+        view.byteLength = views[i].byteLength;
+        byteLength = align(byteLength + views[i].byteLength);
+    });
+    json.buffers[0].byteLength = byteLength;
+
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = align(jsonBytes.byteLength);
+    const total = 12 + 8 + jsonLength + 8 + byteLength;
+    const glb = new ArrayBuffer(total);
+    const data = new DataView(glb);
+    const bytes = new Uint8Array(glb);
+
+    data.setUint32(0, GLB_MAGIC, true);
+    data.setUint32(4, 2, true);
+    data.setUint32(8, total, true);
+
+    data.setUint32(12, jsonLength, true);
+    data.setUint32(16, CHUNK_JSON, true);
+    bytes.set(jsonBytes, 20);
+    // JSON chunks are padded with spaces
+    bytes.fill(0x20, 20 + jsonBytes.byteLength, 20 + jsonLength);
+
+    const binStart = 20 + jsonLength;
+    data.setUint32(binStart, byteLength, true);
+    data.setUint32(binStart + 4, CHUNK_BIN, true);
+    json.bufferViews.forEach((view, i) => bytes.set(views[i], binStart + 8 + view.byteOffset));
+
+    return glb;
+}
+
+function align(length) {
+    return Math.ceil(length / 4) * 4;
+}
+
+function hasTransparency(data) {
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < 255) return true;
+    }
+    return false;
+}
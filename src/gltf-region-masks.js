@@ -0,0 +1,42 @@
+/**
+ * Region Masks
+ * GLTFExporter plugin that embeds facial region masks as extra textures. No material
+ * samples them; the face node's extras map each region name to its texture index, for
+ * makeup, blush or roughness variation authored on top of the face texture.
+ *
+ * Usage: exporter.register(writer => new GLTFRegionMasks(writer, { object: faceMesh, masks, idMap, colors }))
+ */
+
+import { CanvasTexture } from 'three';
+
+export class GLTFRegionMasks {
+    constructor(writer, options = {}) {
+        this.writer = writer;
+        this.name = 'region_masks';
+        this.object = options.object ?? null;
+        // Region name -> grayscale mask canvas
+        this.masks = options.masks || {};
+        // Optional combined map with each region in its color from `colors`
+        this.idMap = options.idMap ?? null;
+        this.colors = options.colors || {};
+    }
+
+    writeNode(object, nodeDef) {
+        if (object !== this.object) return;
+
+        const regionMasks = {};
+        Object.entries(this.masks).forEach(([name, canvas]) => {
+            regionMasks[name] = this.writeTexture(canvas, `regionMask_${name}`);
+        });
+        const extras = { ...nodeDef.extras, regionMasks };
+        if (this.idMap) extras.regionIdMap = { texture: this.writeTexture(this.idMap, 'regionIdMap'), colors: this.colors };
+        nodeDef.extras = extras;
+    }
+
+    // Stored like the face texture (same flip), so the face's UVs address it directly
+    writeTexture(canvas, name) {
+        const texture = new CanvasTexture(canvas);
+        texture.name = name;
+        return this.writer.processTexture(texture);
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Sparse Morph Targets
+ * GLTFExporter plugin that rewrites POSITION morph targets as sparse accessors,
+ * so each target only stores the vertices it actually moves.
+ *
+ * Usage: exporter.register(writer => new GLTFSparseMorphTargets(writer, { tolerance }))
+ */
+
+import { BufferAttribute } from 'three';
+
+const FLOAT = 0x1406;
+const UNSIGNED_SHORT = 0x1403;
+const UNSIGNED_INT = 0x1405;
+
+export class GLTFSparseMorphTargets {
+    constructor(writer, options = {}) {
+        this.writer = writer;
+        this.name = 'sparse_morph_targets';
+        this.tolerance = options.tolerance ?? 1e-4;
+        this.processedAccessors = new Set();
+        this.orphanedBufferViews = new Set();
+    }
+
+    writeMesh(mesh, meshDef) {
+        const geometry = mesh.geometry;
+        const morphPositions = geometry.morphAttributes.position;
+        if (!morphPositions || morphPositions.length === 0) return;
+
+        meshDef.primitives.forEach(primitive => {
+            (primitive.targets || []).forEach((target, i) => {
+                const accessorIndex = target.POSITION;
+                if (accessorIndex === undefined || this.processedAccessors.has(accessorIndex)) return;
+                if (!morphPositions[i]) return;
+
+                this.processedAccessors.add(accessorIndex);
+                this.writeSparseAccessor(accessorIndex, morphPositions[i], geometry);
+            });
+        });
+    }
+
+    writeSparseAccessor(accessorIndex, attribute, geometry) {
+        const writer = this.writer;
+        const json = writer.json;
+        const base = geometry.attributes.position;
+        const count = attribute.count;
+        const toleranceSq = this.tolerance * this.tolerance;
+
+        const indices = [];
+        const values = [];
+        const min = [0, 0, 0];
+        const max = [0, 0, 0];
+
+        for (let v = 0; v < count; v++) {
+            let dx = attribute.getX(v), dy = attribute.getY(v), dz = attribute.getZ(v);
+            if (!geometry.morphTargetsRelative) {
+                dx -= base.getX(v);
+                dy -= base.getY(v);
+                dz -= base.getZ(v);
+            }
+            if (dx * dx + dy * dy + dz * dz <= toleranceSq) continue;
+
+            indices.push(v);
+            values.push(dx, dy, dz);
+            [dx, dy, dz].forEach((value, a) => {
+                min[a] = Math.min(min[a], value);
+                max[a] = Math.max(max[a], value);
+            });
+        }
+
+        const dense = json.accessors[accessorIndex];
+        if (dense.bufferView !== undefined) this.orphanedBufferViews.add(dense.bufferView);
+
+        // An accessor without bufferView or sparse data is all zeros
+        const accessorDef = {
+            componentType: FLOAT,
+            count: count,
+            type: 'VEC3',
+            min: min,
+            max: max
+        };
+
+        if (indices.length > 0) {
+            const indexType = count > 0xffff ? UNSIGNED_INT : UNSIGNED_SHORT;
+            const IndexArray = indexType === UNSIGNED_INT ? Uint32Array : Uint16Array;
+
+            const indexView = writer.processBufferView(
+                new BufferAttribute(new IndexArray(indices), 1), indexType, 0, indices.length
+            );
+            const valueView = writer.processBufferView(
+                new BufferAttribute(new Float32Array(values), 3), FLOAT, 0, indices.length
+            );
+
+            accessorDef.sparse = {
+                count: indices.length,
+                indices: { bufferView: indexView.id, componentType: indexType },
+                values: { bufferView: valueView.id }
+            };
+        }
+
+        json.accessors[accessorIndex] = accessorDef;
+    }
+
+    // Drops the dense morph data the exporter wrote before the targets were made sparse
+    afterParse() {
+        if (this.orphanedBufferViews.size === 0) return;
+
+        const writer = this.writer;
+        const json = writer.json;
+
+        // Every synchronous bufferView owns exactly one entry in writer.buffers
+        if (writer.buffers.length !== json.bufferViews.length) return;
+
+        const remap = new Map();
+        const bufferViews = [];
+        const buffers = [];
+        let byteOffset = 0;
+
+        json.bufferViews.forEach((bufferView, i) => {
+            if (this.orphanedBufferViews.has(i)) return;
+            remap.set(i, bufferViews.length);
+            bufferView.byteOffset = byteOffset;
+            byteOffset += bufferView.byteLength;
+            bufferViews.push(bufferView);
+            buffers.push(writer.buffers[i]);
+        });
+
+        json.accessors.forEach(accessor => {
+            if (accessor.bufferView !== undefined) accessor.bufferView = remap.get(accessor.bufferView);
+            if (accessor.sparse) {
+                accessor.sparse.indices.bufferView = remap.get(accessor.sparse.indices.bufferView);
+                accessor.sparse.values.bufferView = remap.get(accessor.sparse.values.bufferView);
+            }
+        });
+        (json.images || []).forEach(image => {
+            if (image.bufferView !== undefined) image.bufferView = remap.get(image.bufferView);
+        });
+
+        json.bufferViews = bufferViews;
+        writer.buffers.length = 0;
+        writer.buffers.push(...buffers);
+        writer.byteOffset = byteOffset;
+        this.orphanedBufferViews.clear();
+    }
+}
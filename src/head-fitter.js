@@ -0,0 +1,137 @@
+/**
+ * Head Fitter
+ * Fits head.glb to the generated face from landmark correspondences: a similarity
+ * transform places the head, then a radial basis function warp reshapes it so its
+ * forehead, temples, jaw line and chin land on the person's own face contour.
+ */
+
+import * as THREE from 'three';
+import { ExpressionRegistration } from './expression-registration.js';
+
+// [landmark, head.glb vertex] pairs along the face oval, picked on the model's blank face
+export const HEAD_CORRESPONDENCES = [
+    // Forehead
+    [10, 3436], [109, 19592], [338, 16828], [67, 20836], [297, 14534], [54, 22970], [284, 13364],
+    // Temples
+    [162, 25585], [389, 18872], [127, 27202], [356, 21838],
+    // Cheekbones and jaw line
+    [234, 27200], [454, 22833], [132, 27994], [361, 25197], [172, 28213], [397, 26478],
+    [136, 28439], [365, 26837], [149, 28434], [378, 27428],
+    // Chin
+    [148, 28426], [377, 28192], [152, 196]
+];
+
+export class HeadFitter {
+    constructor(options = {}) {
+        this.correspondences = options.correspondences ?? HEAD_CORRESPONDENCES;
+        // Warp radius, relative to the spread of the correspondences
+        this.support = options.support ?? 1.5;
+        this.smoothing = options.smoothing ?? 1e-4;
+        // Undeformed head positions, so every fit starts from the original model
+        this.restPositions = new WeakMap();
+    }
+
+    /**
+     * Warps headMesh's geometry in place to match the face and returns the
+     * transform ({ rotation, scale, translation }) that places its root, headModel,
+     * in its parent's space. faceGeometry must keep landmark i at vertex i.
+     */
+    fit(headModel, headMesh, faceMesh, faceGeometry) {
+        const geometry = headMesh.geometry;
+        if (!this.restPositions.has(geometry)) {
+            this.restPositions.set(geometry, geometry.attributes.position.array.slice());
+        }
+        const rest = this.restPositions.get(geometry);
+
+        // Work in the head root's space, so the result applies directly to headModel
+        headModel.updateMatrixWorld(true);
+        faceMesh.updateMatrixWorld();
+        const meshToRoot = headModel.matrixWorld.clone().invert().multiply(headMesh.matrixWorld);
+        const faceToParent = faceMesh.matrixWorld.clone();
+        if (headModel.parent) faceToParent.premultiply(headModel.parent.matrixWorld.clone().invert());
+
+        const pairs = this.correspondences.filter(([landmark, vertex]) =>
+            landmark < faceGeometry.attributes.position.count && vertex * 3 < rest.length
+        );
+        const source = pairs.map(([, vertex]) => new THREE.Vector3().fromArray(rest, vertex * 3).applyMatrix4(meshToRoot));
+        const target = pairs.map(([landmark]) =>
+            new THREE.Vector3().fromBufferAttribute(faceGeometry.attributes.position, landmark).applyMatrix4(faceToParent)
+        );
+
+        const transform = new ExpressionRegistration().fitSimilarity(source, target);
+
+        // What the similarity leaves over, expressed back in the head's own space
+        const inverseRotation = transform.rotation.clone().invert();
+        const residuals = target.map((point, i) => point.clone()
+            .sub(transform.translation)
+            .applyQuaternion(inverseRotation)
+            .divideScalar(transform.scale)
+            .sub(source[i])
+        );
+
+        this.warp(geometry, rest, meshToRoot, source, residuals);
+        return transform;
+    }
+
+    warp(geometry, rest, meshToRoot, centers, residuals) {
+        const centroid = new THREE.Vector3();
+        centers.forEach(c => centroid.add(c));
+        centroid.divideScalar(centers.length);
+        const radius = this.support * Math.max(...centers.map(c => c.distanceTo(centroid)));
+
+        const weights = this.solveWeights(centers, residuals, radius);
+        const rootToMesh = meshToRoot.clone().invert();
+        const position = geometry.attributes.position;
+        const point = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+
+        for (let v = 0; v < position.count; v++) {
+            point.fromArray(rest, v * 3).applyMatrix4(meshToRoot);
+            offset.set(0, 0, 0);
+            centers.forEach((center, j) => {
+                const k = wendland(point.distanceTo(center) / radius);
+                if (k > 0) offset.addScaledVector(weights[j], k);
+            });
+            point.add(offset).applyMatrix4(rootToMesh);
+            position.setXYZ(v, point.x, point.y, point.z);
+        }
+
+        position.needsUpdate = true;
+        if (geometry.attributes.normal) geometry.computeVertexNormals();
+        geometry.boundingBox = null;
+        geometry.boundingSphere = null;
+    }
+
+    // Interpolation weights per center: (K + smoothing * I) w = residual, for x, y and z at once
+    solveWeights(centers, residuals, radius) {
+        const n = centers.length;
+        const rows = centers.map((a, i) => [
+            ...centers.map((b, j) => wendland(a.distanceTo(b) / radius) + (i === j ? this.smoothing : 0)),
+            residuals[i].x, residuals[i].y, residuals[i].z
+        ]);
+
+        // Gauss-Jordan elimination with partial pivoting
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+            }
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+            const divisor = rows[col][col] || 1e-12;
+            for (let c = col; c < n + 3; c++) rows[col][c] /= divisor;
+            for (let r = 0; r < n; r++) {
+                if (r === col || rows[r][col] === 0) continue;
+                const factor = rows[r][col];
+                for (let c = col; c < n + 3; c++) rows[r][c] -= factor * rows[col][c];
+            }
+        }
+
+        return rows.map(row => new THREE.Vector3(row[n], row[n + 1], row[n + 2]));
+    }
+}
+
+// Compactly supported Wendland C2 kernel, positive definite in 3D
+function wendland(r) {
+    if (r >= 1) return 0;
+    return Math.pow(1 - r, 4) * (4 * r + 1);
+}
@@ -1,195 +1,194 @@
 /**
  * Head Geometry Generator
- * Generates back of head using face contour extrusion
+ * Generates back of head using face contour extrusion. The skull is grown from
+ * the face's own contour vertices, so face and skull form one connected mesh.
  */
 
+import * as THREE from 'three';
+import { FACE_REGIONS } from './face-regions.js';
+
+export const DEFAULT_HEAD_OPTIONS = {
+    // Rings between the face contour and the back of the head
+    layers: 8,
+    // How far back the skull extends behind the contour (mesh units, face width is ~2)
+    depth: 1.8,
+    // Per-ring lift of the upper contour, rounding the cranium
+    craniumLift: 0.05,
+    // Per-ring lift of the lower contour, tucking the chin and jaw under
+    chinTuck: 0.1,
+    // Closed loop of face vertices the skull starts from, in order around the face. Left out
+    // of the UI: the face oval is the only such loop along the whole edge of the landmark mesh
+    contourIndices: FACE_REGIONS.faceOval
+};
+
 export class HeadGeometryGenerator {
-    constructor() {}
-    
-    generateCompleteHead(faceLandmarks, centerX, centerY, centerZ, scaleX, scaleY, scaleZ) {
-        const vertices = [];
-        const colors = [];
-        
-        // Use corrected scale passed from main generator
-        // scaleX already includes the 1.08 width correction
-        
-        // Face vertices (0-467) with POSITIVE Z
-        faceLandmarks.forEach((landmark) => {
-            const x = (landmark.x - centerX) / scaleX * 2;
-            const y = -(landmark.y - centerY) / scaleY * 2;
-            const z = ((landmark.z - centerZ) / scaleZ * 2);  // POSITIVE
-            
-            vertices.push(x, y, z);
-            colors.push(1, 1, 1);  // White for texture
-        });
-        
-        // Face contour indices for head outline
-        const contourIndices = [
-            10,   // Forehead top
-            109,  // Left temple
-            67,   // Left cheek
-            103,  // Left jaw
-            104,  // Left chin
-            152,  // Chin center
-            365,  // Right chin
-            389,  // Right jaw
-            297,  // Right cheek
-            338,  // Right temple
-            10    // Close loop
-        ];
-        
-        const skinColor = { r: 0.92, g: 0.82, b: 0.72 };
-        
-        // Generate back vertices
-        const backData = this.generateBackVertices(
-            faceLandmarks, contourIndices, skinColor,
-            centerX, centerY, centerZ, scaleX, scaleY, scaleZ
-        );
-        
-        backData.vertices.forEach(v => {
-            vertices.push(v.x, v.y, v.z);
-            colors.push(v.r, v.g, v.b);
-        });
-        
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_HEAD_OPTIONS, ...options };
+    }
+
+    /**
+     * Returns a new geometry holding the face geometry (mesh space, any morph targets)
+     * followed by the skull. Face vertices and triangles are unchanged and come first
+     * (group 0); the skull triangles form group 1. Skull rings next to the face follow
+     * its morph targets with a falloff, so the seam never opens.
+     */
+    generateCompleteHead(faceGeometry, skinColor = { r: 0.92, g: 0.82, b: 0.72 }) {
+        const facePosition = faceGeometry.attributes.position;
+        const faceCount = facePosition.count;
+        const contourIndices = this.options.contourIndices.filter(i => i < faceCount);
+
+        const backData = this.generateBackVertices(facePosition, contourIndices);
         const backTriangulation = this.generateBackTriangulation(
-            468, contourIndices.length - 1, backData.layers
+            faceGeometry.index.array, contourIndices, faceCount, backData.layers
         );
-        
-        return {
-            vertices,
-            colors,
-            backTriangulation,
-            vertexCount: vertices.length / 3
+
+        const vertexCount = faceCount + backData.vertices.length / 3;
+        const positions = new Float32Array(vertexCount * 3);
+        positions.set(facePosition.array.subarray(0, faceCount * 3));
+        positions.set(backData.vertices, faceCount * 3);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        // Skull vertices carry the skin tone; they have no place in the face texture
+        const defaults = {
+            uv: [0, 0],
+            color: [skinColor.r, skinColor.g, skinColor.b]
         };
+        Object.entries(defaults).forEach(([name, fill]) => {
+            const attribute = faceGeometry.attributes[name];
+            if (!attribute) return;
+            const values = new Float32Array(vertexCount * attribute.itemSize);
+            values.set(attribute.array.subarray(0, faceCount * attribute.itemSize));
+            for (let v = faceCount; v < vertexCount; v++) values.set(fill, v * attribute.itemSize);
+            geometry.setAttribute(name, new THREE.BufferAttribute(values, attribute.itemSize));
+        });
+
+        const faceIndex = faceGeometry.index.array;
+        const IndexArray = vertexCount > 0xffff ? Uint32Array : Uint16Array;
+        const index = new IndexArray(faceIndex.length + backTriangulation.length);
+        index.set(faceIndex);
+        index.set(backTriangulation, faceIndex.length);
+        geometry.setIndex(new THREE.BufferAttribute(index, 1));
+        geometry.addGroup(0, faceIndex.length, 0);
+        geometry.addGroup(faceIndex.length, backTriangulation.length, 1);
+
+        geometry.morphAttributes.position = (faceGeometry.morphAttributes.position || []).map(morph => {
+            const delta = new Float32Array(vertexCount * 3);
+            delta.set(morph.array.subarray(0, faceCount * 3));
+            backData.fade.forEach(({ vertex, source, weight }) => {
+                for (let c = 0; c < 3; c++) {
+                    delta[(faceCount + vertex) * 3 + c] = weight * morph.array[source * 3 + c];
+                }
+            });
+            const attribute = new THREE.BufferAttribute(delta, 3);
+            attribute.name = morph.name;
+            return attribute;
+        });
+        geometry.morphTargetsRelative = faceGeometry.morphTargetsRelative;
+
+        geometry.computeVertexNormals();
+        geometry.userData = { ...faceGeometry.userData, faceVertexCount: faceCount };
+        return geometry;
     }
-    
-    generateBackVertices(faceLandmarks, contourIndices, skinColor, cx, cy, cz, sx, sy, sz) {
+
+    generateBackVertices(facePosition, contourIndices) {
+        const { layers: numLayers, depth, craniumLift, chinTuck } = this.options;
+        const contour = contourIndices.map(i => new THREE.Vector3().fromBufferAttribute(facePosition, i));
+
+        // Rings shrink towards the contour's center and converge on one plane behind it
+        const center = new THREE.Vector3();
+        contour.forEach(p => center.add(p));
+        center.divideScalar(contour.length);
+        const top = Math.max(...contour.map(p => p.y)) - center.y;
+        const bottom = center.y - Math.min(...contour.map(p => p.y));
+        const zStart = Math.min(...contour.map(p => p.z));
+
         const vertices = [];
-        const numLayers = 8; // More layers for smoother head shape
-        const pointsPerLayer = contourIndices.length - 1;  // Exclude duplicate
-        
-        // Create a full cranial shape (spherical extension)
-        // Depth needs to be comparable to width (which is ~2.0 units: -1 to 1)
-        // So we extend Z back to roughly -1.8
-        
-        const layerConfigs = [];
-        for (let i = 0; i < numLayers; i++) {
-            const t = (i + 1) / numLayers; // 0 to 1
-            
-            // Non-linear depth progression for rounded shape
-            const zOffset = -0.2 - (t * 1.6); // Ends at -1.8
-            
-            // Spherical falloff for X/Y scale
-            // cos(t * PI/2) gives a circular curve starting at 1.0 and ending at 0
-            const curve = Math.cos(t * Math.PI * 0.4); // Don't go to 0 completely, stay open for apex
-            
-            layerConfigs.push({
-                zOffset: zOffset,
-                scale: curve,
-                yShift: i * 0.05 // Slight lift for cranium
-            });
-        }
-        
-        // Generate layers from face backwards
+        const fade = [];
+        // Rings in the front half follow the face's morph targets, fading out
+        const fadeLayers = numLayers / 2;
+
         for (let layer = 0; layer < numLayers; layer++) {
-            const config = layerConfigs[layer];
-            
-            for (let i = 0; i < pointsPerLayer; i++) {
-                const contourIdx = contourIndices[i];
-                const landmark = faceLandmarks[contourIdx];
-                
-                let x = (landmark.x - cx) / sx * 2;
-                let y = -(landmark.y - cy) / sy * 2;
-                
-                // Scale towards center to form sphere
-                x *= config.scale;
-                
-                // Adjust Y to form proper skull shape
-                // Lift top, tuck chin
-                const isTop = i === 0 || i === pointsPerLayer - 1; // Forehead
-                const isBottom = i === 4 || i === 5 || i === 6;    // Chin area
-                
-                if (isTop) {
-                    y += config.yShift; // Lift cranium
-                } else if (isBottom) {
-                     // Chin doesn't go back as much as cranium, tuck it in/up
-                     y += layer * 0.1; 
-                     // Pull chin Z less far back? No, simplify: keep Z ring uniform, adjust Y
-                }
-                
-                // Z moves backwards
-                const z = config.zOffset;
-                
-                vertices.push({
-                    x, y, z,
-                    r: skinColor.r,
-                    g: skinColor.g,
-                    b: skinColor.b
-                });
-            }
+            const t = (layer + 1) / numLayers; // 0 to 1
+
+            // Spherical falloff; don't go to 0 completely, stay open for the apex
+            const curve = Math.cos(t * Math.PI * 0.4);
+            const weight = Math.pow(Math.max(0, 1 - (layer + 1) / fadeLayers), 2);
+
+            contour.forEach((p, i) => {
+                const dx = p.x - center.x;
+                const dy = p.y - center.y;
+
+                // Lift top, tuck chin, in proportion to how high or low the contour point sits
+                const up = top > 0 ? THREE.MathUtils.clamp(dy / top, 0, 1) : 0;
+                const down = bottom > 0 ? THREE.MathUtils.clamp(-dy / bottom, 0, 1) : 0;
+                const lift = (layer + 1) * (up * craniumLift + down * chinTuck);
+
+                vertices.push(
+                    center.x + dx * curve,
+                    // The skull is taller than it is wide, so Y shrinks more slowly
+                    center.y + dy * Math.sqrt(curve) + lift,
+                    p.z + (zStart - p.z) * t - t * depth
+                );
+                if (weight > 0) fade.push({ vertex: layer * contour.length + i, source: contourIndices[i], weight });
+            });
         }
-        
-        // Add apex (Occiput - back of head center)
-        // Instead of high Y, place it centrally at the furthest back point
-        vertices.push({
-            x: 0,
-            y: 0.3, // Slightly above center for correct skull center
-            z: -2.0, // Furthest point
-            r: skinColor.r,
-            g: skinColor.g,
-            b: skinColor.b
-        });
-        
-        return { vertices, layers: numLayers };
+
+        // Apex (occiput - back of head center), one ring spacing behind the last ring
+        vertices.push(
+            center.x,
+            center.y + craniumLift * numLayers,
+            zStart - depth * (1 + 1 / numLayers)
+        );
+
+        return { vertices: Float32Array.from(vertices), layers: numLayers, fade };
     }
-    
-    generateBackTriangulation(startIdx, pointsPerLayer, numLayers) {
+
+    generateBackTriangulation(faceIndex, contourIndices, startIdx, numLayers) {
         const indices = [];
-        
-        // Connect face contour to first back layer
-        // We need to map contour indices properly
-        const faceContourIndices = [
-            10, 109, 67, 103, 104, 152, 365, 389, 297, 338
-        ];
-        
-        for (let i = 0; i < pointsPerLayer; i++) {
-            const f1 = faceContourIndices[i];
-            const f2 = faceContourIndices[(i + 1) % pointsPerLayer];
-            const b1 = startIdx + i;
-            const b2 = startIdx + ((i + 1) % pointsPerLayer);
-            
-            // Two triangles forming quad
-            indices.push(f1, f2, b1);
-            indices.push(f2, b2, b1);
-        }
-        
-        // Connect back layers
-        for (let layer = 0; layer < numLayers - 1; layer++) {
-            const layer1Start = startIdx + layer * pointsPerLayer;
-            const layer2Start = startIdx + (layer + 1) * pointsPerLayer;
-            
+        const pointsPerLayer = contourIndices.length;
+
+        // The skull must run each contour edge opposite to the face triangle that owns it
+        const flip = this.faceRunsContourForward(faceIndex, contourIndices);
+        const push = (a, b, c) => (flip ? indices.push(a, c, b) : indices.push(a, b, c));
+
+        // Ring 0 is the face contour itself, so skull and face share those vertices
+        const ring = (layer, i) => layer === 0
+            ? contourIndices[i % pointsPerLayer]
+            : startIdx + (layer - 1) * pointsPerLayer + (i % pointsPerLayer);
+
+        for (let layer = 0; layer < numLayers; layer++) {
             for (let i = 0; i < pointsPerLayer; i++) {
-                const p1 = layer1Start + i;
-                const p2 = layer1Start + ((i + 1) % pointsPerLayer);
-                const p3 = layer2Start + i;
-                const p4 = layer2Start + ((i + 1) % pointsPerLayer);
-                
-                indices.push(p1, p2, p3);
-                indices.push(p2, p4, p3);
+                const p1 = ring(layer, i);
+                const p2 = ring(layer, i + 1);
+                const p3 = ring(layer + 1, i);
+                const p4 = ring(layer + 1, i + 1);
+
+                // Two triangles forming quad
+                push(p1, p2, p3);
+                push(p2, p4, p3);
             }
         }
-        
+
         // Connect last layer to apex
-        const lastLayerStart = startIdx + (numLayers - 1) * pointsPerLayer;
         const apexIdx = startIdx + numLayers * pointsPerLayer;
-        
         for (let i = 0; i < pointsPerLayer; i++) {
-            const p1 = lastLayerStart + i;
-            const p2 = lastLayerStart + ((i + 1) % pointsPerLayer);
-            
-            indices.push(p1, p2, apexIdx);
+            push(ring(numLayers, i), ring(numLayers, i + 1), apexIdx);
         }
-        
+
         return indices;
     }
-}
\ No newline at end of file
+
+    // Whether a face triangle traverses the contour in its given order (a -> next a)
+    faceRunsContourForward(faceIndex, contourIndices) {
+        const [a, b] = contourIndices;
+        for (let t = 0; t < faceIndex.length; t += 3) {
+            for (let e = 0; e < 3; e++) {
+                if (faceIndex[t + e] === a && faceIndex[t + (e + 1) % 3] === b) return true;
+                if (faceIndex[t + e] === b && faceIndex[t + (e + 1) % 3] === a) return false;
+            }
+        }
+        return false;
+    }
+}
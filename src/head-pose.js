@@ -0,0 +1,72 @@
+/**
+ * Head Pose
+ * The head rotation of MediaPipe's facial transformation matrix, used to move landmarks
+ * into canonical face space: the same face turned to look straight at the camera,
+ * upright. Measurements taken there do not change as the head turns or tilts. The pose
+ * itself is reported as yaw, pitch and roll plus MediaPipe's translation.
+ */
+
+import * as THREE from 'three';
+
+export class HeadPose {
+    /**
+     * matrix is the facial transformation matrix (column-major `data`), or null for no
+     * rotation. options.aspect is the photo's width over its height; options.landmarks
+     * fixes the point the head turns about (their centroid).
+     */
+    constructor(matrix, options = {}) {
+        this.aspect = options.aspect || 1;
+        this.rotation = new THREE.Quaternion();
+        // Head position relative to the camera, in MediaPipe's metric units (centimeters)
+        this.translation = new THREE.Vector3();
+        if (matrix) {
+            const transform = new THREE.Matrix4().fromArray(matrix.data);
+            this.rotation.setFromRotationMatrix(new THREE.Matrix4().extractRotation(transform));
+            this.translation.setFromMatrixPosition(transform);
+        }
+        this.inverse = this.rotation.clone().invert();
+        this.center = new THREE.Vector3();
+        if (options.landmarks) {
+            options.landmarks.forEach(landmark => this.center.add(this.toPoint(landmark)));
+            this.center.divideScalar(options.landmarks.length);
+        }
+    }
+
+    /**
+     * Head rotation in degrees, in camera space (x right, y up, z towards the camera): yaw
+     * turns the face towards +x, pitch up, roll counter-clockwise as the camera sees it.
+     */
+    getAngles() {
+        const euler = new THREE.Euler().setFromQuaternion(this.rotation, 'YXZ');
+        return {
+            yaw: THREE.MathUtils.radToDeg(euler.y),
+            pitch: THREE.MathUtils.radToDeg(-euler.x),
+            roll: THREE.MathUtils.radToDeg(euler.z)
+        };
+    }
+
+    toJSON() {
+        const { x, y, z } = this.translation;
+        return { ...this.getAngles(), translation: { x, y, z } };
+    }
+
+    // Normalized photo landmarks with the head pose removed, in normalized photo coordinates
+    frontalize(landmarks) {
+        return landmarks.map(landmark => this.turn(landmark, this.inverse));
+    }
+
+    // Inverse of frontalize for one landmark: where a canonical-space point shows in the photo
+    toPhoto(landmark) {
+        return this.turn(landmark, this.rotation);
+    }
+
+    turn(landmark, rotation) {
+        const p = this.toPoint(landmark).sub(this.center).applyQuaternion(rotation).add(this.center);
+        return { x: p.x / this.aspect, y: -p.y, z: -p.z / this.aspect };
+    }
+
+    // Photo units with equal axes: Y up, Z towards the camera
+    toPoint(landmark) {
+        return new THREE.Vector3(landmark.x * this.aspect, -landmark.y, -(landmark.z ?? 0) * this.aspect);
+    }
+}
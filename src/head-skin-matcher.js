@@ -0,0 +1,334 @@
+/**
+ * Head Skin Matcher
+ * Textures head.glb so it continues the face instead of meeting it with a flat tint.
+ * The head gets a seamless UV layout (an equal-area azimuthal unwrap around the crown),
+ * a generated skin texture whose Lab mean and variance are transferred from the photo's
+ * skin, and the photo itself projected onto whatever part of the head it shows:
+ * forehead, temples and visible ears. The projection fades smoothly into the generated skin.
+ */
+
+import * as THREE from 'three';
+import { FACE_MESH_UVS } from './face-mesh-uvs.js';
+import { SKIN_SAMPLE_LANDMARKS } from './texture-completion.js';
+import { boxBlur, rasterizeTriangle, smoothstep, uvToTexel } from './texture-raster.js';
+
+// Head triangles spanning more than this in UV surround the unwrap's pole; they are never painted
+const MAX_UV_EDGE = 0.05;
+
+export class HeadSkinMatcher {
+    constructor(options = {}) {
+        this.textureSize = options.textureSize ?? 1024;
+        // Share of the photo's skin variation the generated texture reproduces; the rest is lighting
+        this.variation = options.variation ?? 0.5;
+        // Cosine between head normal and view direction: no projection below minFacing, full above fullFacing
+        this.minFacing = options.minFacing ?? 0.2;
+        this.fullFacing = options.fullFacing ?? 0.6;
+        // How far beyond the landmarks the photo is projected, as a share of the face size
+        this.reach = options.reach ?? { side: 0.25, top: 0.4, bottom: 0.05 };
+        // Photo pixels, skin statistics and generated skin of the last paint; only the projection depends on placement
+        this.cache = null;
+    }
+
+    /**
+     * Gives the head geometry UVs from its current positions. The head's up axis is +y;
+     * the crown maps to the texture center and the bottom of the neck, where the unwrap's
+     * only singularity sits, to the rim. The front of the head lands in the lower half.
+     */
+    unwrap(geometry) {
+        const position = geometry.attributes.position;
+        geometry.computeBoundingBox();
+        const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+        const uvs = new Float32Array(position.count * 2);
+
+        for (let v = 0; v < position.count; v++) {
+            const x = position.getX(v) - center.x;
+            const y = position.getY(v) - center.y;
+            const z = position.getZ(v) - center.z;
+            const horizontal = Math.hypot(x, z);
+            // Lambert equal-area: radius grows with the sine of half the angle from the crown
+            const radius = 0.5 * Math.sin(Math.atan2(horizontal, y) / 2);
+            uvs[v * 2] = 0.5 + (horizontal > 0 ? radius * x / horizontal : 0);
+            uvs[v * 2 + 1] = 0.5 - (horizontal > 0 ? radius * z / horizontal : 0);
+        }
+
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        return geometry;
+    }
+
+    /**
+     * Paints the head texture and returns it as a canvas.
+     * headMesh must carry unwrap()'s UVs. `toImage` maps a point of faceMesh's local
+     * space to normalized photo coordinates, projecting along the face's +Z axis.
+     * `landmarks` are the photo's normalized landmarks and faceTexture the face's
+     * canonical texture, whose skin the head is matched to.
+     */
+    paint({ headMesh, faceMesh, image, landmarks, faceTexture, toImage }) {
+        const size = this.textureSize;
+        const { photo, faceBox, photoSkin, skin, generated } = this.matchSkin(image, landmarks, faceTexture);
+
+        const surface = this.rasterizeSurface(headMesh, faceMesh, size);
+        const weights = new Float32Array(size * size);
+        const projected = new Float32Array(size * size * 3);
+
+        for (let p = 0; p < size * size; p++) {
+            if (surface.facing[p] <= this.minFacing) continue;
+            const point = toImage({ x: surface.position[p * 3], y: surface.position[p * 3 + 1], z: surface.position[p * 3 + 2] });
+            const coverage = this.coverage(point, faceBox);
+            if (coverage <= 0) continue;
+            weights[p] = coverage * smoothstep(this.minFacing, this.fullFacing, surface.facing[p]);
+
+            const lab = rgbToLab(samplePixels(photo, point.x, point.y));
+            for (let c = 0; c < 3; c++) {
+                projected[p * 3 + c] = (lab[c] - photoSkin.mean[c]) / photoSkin.deviation[c] * skin.deviation[c] + skin.mean[c];
+            }
+        }
+
+        // Soften per-triangle steps so the projection melts into the generated skin
+        const blend = boxBlur(weights, size, size, Math.max(1, Math.round(size / 128)));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const output = ctx.createImageData(size, size);
+        const lab = [0, 0, 0];
+        for (let p = 0; p < size * size; p++) {
+            const w = Math.min(blend[p], weights[p] > 0 ? 1 : 0);
+            for (let c = 0; c < 3; c++) lab[c] = projected[p * 3 + c] * w + generated[p * 3 + c] * (1 - w);
+            const rgb = labToRgb(lab);
+            output.data.set([rgb[0], rgb[1], rgb[2], 255], p * 4);
+        }
+        ctx.putImageData(output, 0, 0);
+        return canvas;
+    }
+
+    // Forgets the cached skin, e.g. after the face texture was redrawn in place
+    clearCache() {
+        this.cache = null;
+    }
+
+    matchSkin(image, landmarks, faceTexture) {
+        const cache = this.cache;
+        if (cache && cache.image === image && cache.landmarks === landmarks && cache.faceTexture === faceTexture) return cache;
+
+        const photo = readPixels(image);
+        const texture = readPixels(faceTexture);
+
+        // Photo colors are matched to the face texture, which may be enhanced or delit
+        const faceBox = landmarkBounds(landmarks);
+        const photoRadius = Math.max(2, Math.round(0.03 * faceBox.width * photo.width));
+        const photoSkin = skinStatistics(photo, SKIN_SAMPLE_LANDMARKS.map(i => [landmarks[i].x, landmarks[i].y]), photoRadius);
+        const textureRadius = Math.max(2, Math.round(0.03 * texture.width));
+        const skin = skinStatistics(texture, SKIN_SAMPLE_LANDMARKS.map(i => FACE_MESH_UVS[i]), textureRadius);
+
+        this.cache = {
+            image, landmarks, faceTexture, photo, faceBox, photoSkin, skin,
+            generated: this.generateSkin(skin, this.textureSize)
+        };
+        return this.cache;
+    }
+
+    /**
+     * Position (in faceMesh's local space) and facing (normal's Z) of the head surface
+     * under every texel, from the head's triangles drawn into UV space.
+     */
+    rasterizeSurface(headMesh, faceMesh, size) {
+        const geometry = headMesh.geometry;
+        const source = geometry.attributes.position;
+        const uv = geometry.attributes.uv;
+        const index = geometry.index.array;
+
+        faceMesh.updateMatrixWorld(true);
+        headMesh.updateMatrixWorld(true);
+        const toFace = faceMesh.matrixWorld.clone().invert().multiply(headMesh.matrixWorld);
+        const points = new Float32Array(source.count * 3);
+        const elements = toFace.elements;
+        for (let v = 0; v < source.count; v++) {
+            const x = source.getX(v), y = source.getY(v), z = source.getZ(v);
+            for (let r = 0; r < 3; r++) {
+                points[v * 3 + r] = elements[r] * x + elements[r + 4] * y + elements[r + 8] * z + elements[r + 12];
+            }
+        }
+
+        const position = new Float32Array(size * size * 3);
+        const facing = new Float32Array(size * size).fill(-1);
+
+        for (let t = 0; t < index.length; t += 3) {
+            const corners = [index[t], index[t + 1], index[t + 2]];
+            const texels = corners.map(v => uvToTexel(uv.getX(v), uv.getY(v), size));
+            const longest = Math.max(...texels.map((a, k) => Math.hypot(a[0] - texels[(k + 1) % 3][0], a[1] - texels[(k + 1) % 3][1])));
+            if (longest > MAX_UV_EDGE * size) continue;
+
+            const [a, b, c] = corners.map(v => points.subarray(v * 3, v * 3 + 3));
+            const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+            const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+            const nx = e1[1] * e2[2] - e1[2] * e2[1];
+            const ny = e1[2] * e2[0] - e1[0] * e2[2];
+            const nz = e1[0] * e2[1] - e1[1] * e2[0];
+            const length = Math.hypot(nx, ny, nz);
+            if (length === 0) continue;
+            const triangleFacing = nz / length;
+
+            rasterizeTriangle(...texels, size, (p, w0, w1, w2) => {
+                for (let k = 0; k < 3; k++) position[p * 3 + k] = w0 * a[k] + w1 * b[k] + w2 * c[k];
+                facing[p] = triangleFacing;
+            });
+        }
+
+        return { position, facing };
+    }
+
+    // 1 inside the landmarks' bounds, falling to 0 at `reach` beyond them
+    coverage(point, box) {
+        if (point.x < 0 || point.x > 1 || point.y < 0 || point.y > 1) return 0;
+        const dx = Math.max(0, box.minX - point.x, point.x - box.maxX) / (this.reach.side * box.width);
+        const dy = point.y < box.minY
+            ? (box.minY - point.y) / (this.reach.top * box.height)
+            : Math.max(0, point.y - box.maxY) / (this.reach.bottom * box.height);
+        return 1 - smoothstep(0, 1, Math.hypot(dx, dy));
+    }
+
+    /**
+     * Skin texture in Lab: a few octaves of value noise per channel, brought to the
+     * skin's mean and (scaled by `variation`) its standard deviation.
+     */
+    generateSkin(skin, size) {
+        const lab = new Float32Array(size * size * 3);
+        const octaves = [[8, 0.6], [32, 0.3], [128, 0.1]];
+
+        for (let c = 0; c < 3; c++) {
+            let sum = 0;
+            let squares = 0;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    let value = 0;
+                    octaves.forEach(([frequency, amplitude], o) => {
+                        value += amplitude * valueNoise(x / size * frequency, y / size * frequency, c * 7 + o);
+                    });
+                    lab[(y * size + x) * 3 + c] = value;
+                    sum += value;
+                    squares += value * value;
+                }
+            }
+            const mean = sum / (size * size);
+            const deviation = Math.sqrt(Math.max(squares / (size * size) - mean * mean, 1e-12));
+            const gain = skin.deviation[c] * this.variation / deviation;
+            for (let p = 0; p < size * size; p++) lab[p * 3 + c] = (lab[p * 3 + c] - mean) * gain + skin.mean[c];
+        }
+
+        return lab;
+    }
+}
+
+function readPixels(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+function landmarkBounds(landmarks) {
+    const xs = landmarks.map(l => l.x);
+    const ys = landmarks.map(l => l.y);
+    const box = { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+    return { ...box, width: box.maxX - box.minX, height: box.maxY - box.minY };
+}
+
+/**
+ * Lab mean and standard deviation of well-exposed pixels in square patches around
+ * the given normalized centers.
+ */
+function skinStatistics(pixels, centers, radius) {
+    const { data, width, height } = pixels;
+    const sum = [0, 0, 0];
+    const squares = [0, 0, 0];
+    let count = 0;
+
+    centers.forEach(([u, v]) => {
+        const cx = Math.round(u * width);
+        const cy = Math.round(v * height);
+        for (let y = Math.max(0, cy - radius); y < Math.min(height, cy + radius); y++) {
+            for (let x = Math.max(0, cx - radius); x < Math.min(width, cx + radius); x++) {
+                const i = (y * width + x) * 4;
+                const brightness = (data[i] + data[i + 1] + data[i + 2]) / 3;
+                if (brightness < 60 || brightness > 240) continue;
+                const lab = rgbToLab([data[i], data[i + 1], data[i + 2]]);
+                for (let c = 0; c < 3; c++) {
+                    sum[c] += lab[c];
+                    squares[c] += lab[c] * lab[c];
+                }
+                count++;
+            }
+        }
+    });
+
+    if (count === 0) return { mean: rgbToLab([245, 230, 211]), deviation: [4, 2, 2] };
+    const mean = sum.map(value => value / count);
+    // A floor keeps the transfer from amplifying noise when a patch is nearly uniform
+    const deviation = squares.map((value, c) => Math.max(Math.sqrt(Math.max(value / count - mean[c] * mean[c], 0)), 1));
+    return { mean, deviation };
+}
+
+// Bilinear sample at normalized coordinates
+function samplePixels({ data, width, height }, u, v) {
+    const x = Math.min(width - 1, Math.max(0, u * width - 0.5));
+    const y = Math.min(height - 1, Math.max(0, v * height - 0.5));
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const x1 = Math.min(width - 1, x0 + 1), y1 = Math.min(height - 1, y0 + 1);
+    const fx = x - x0, fy = y - y0;
+    return [0, 1, 2].map(c => {
+        const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+        const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+        return top * (1 - fy) + bottom * fy;
+    });
+}
+
+// sRGB (0-255) to CIE Lab, D65 white
+function rgbToLab(rgb) {
+    const [r, g, b] = rgb.map(value => {
+        const s = value / 255;
+        return s <= 0.04045 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    });
+    const x = (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047;
+    const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const z = (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883;
+    const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const [fx, fy, fz] = [f(x), f(y), f(z)];
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function labToRgb([l, a, b]) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inverse = t => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) * 27 / 24389);
+    const x = inverse(fx) * 0.95047;
+    const y = inverse(fy);
+    const z = inverse(fz) * 1.08883;
+    return [
+        3.2406 * x - 1.5372 * y - 0.4986 * z,
+        -0.9689 * x + 1.8758 * y + 0.0415 * z,
+        0.0557 * x - 0.2040 * y + 1.0570 * z
+    ].map(value => {
+        const s = value <= 0.0031308 ? 12.92 * value : 1.055 * Math.pow(Math.max(value, 0), 1 / 2.4) - 0.055;
+        return Math.round(Math.min(1, Math.max(0, s)) * 255);
+    });
+}
+
+// Smoothly interpolated lattice noise in [-1, 1]
+function valueNoise(x, y, seed) {
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const fx = x - x0, fy = y - y0;
+    const sx = fx * fx * (3 - 2 * fx), sy = fy * fy * (3 - 2 * fy);
+    const top = lattice(x0, y0, seed) * (1 - sx) + lattice(x0 + 1, y0, seed) * sx;
+    const bottom = lattice(x0, y0 + 1, seed) * (1 - sx) + lattice(x0 + 1, y0 + 1, seed) * sx;
+    return top * (1 - sy) + bottom * sy;
+}
+
+function lattice(x, y, seed) {
+    let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(seed, 2147483647);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 2147483647.5 - 1;
+}
@@ -0,0 +1,396 @@
+/**
+ * Head Stitcher
+ * Welds the face mesh into the head model: the face's outer contour is projected
+ * onto the head to cut a matching opening, and the gap between the two loops is
+ * bridged with a strip of triangles. The result is one mesh whose first group is
+ * the face and second group is the head, with the face's morph targets fading
+ * out across the head around the seam.
+ */
+
+import * as THREE from 'three';
+
+export class HeadStitcher {
+    constructor(options = {}) {
+        // Distance over which morph targets fade into the head, as a share of the face width
+        this.fadeDistance = options.fadeDistance ?? 0.25;
+    }
+
+    /**
+     * Returns the welded geometry in the face mesh's local space. `faceGeometry` is the
+     * geometry to weld (it may differ from faceMesh.geometry, e.g. another subdivision
+     * level); faceMesh and headModel only provide their current world transforms.
+     * Returns null when either mesh has no usable opening to stitch.
+     */
+    stitch(faceGeometry, faceMesh, headModel) {
+        const headMesh = this.findHeadMesh(headModel);
+        if (!headMesh) return null;
+
+        faceMesh.updateMatrixWorld(true);
+        headModel.updateMatrixWorld(true);
+        const toFace = faceMesh.matrixWorld.clone().invert().multiply(headMesh.matrixWorld);
+
+        const faceLoop = this.findOuterLoop(faceGeometry);
+        if (!faceLoop) return null;
+
+        const head = this.cutHead(headMesh.geometry, toFace, faceGeometry.attributes.position, faceLoop);
+        if (!head) return null;
+
+        return this.merge(faceGeometry, faceLoop, head);
+    }
+
+    // The largest mesh of the head model
+    findHeadMesh(headModel) {
+        let headMesh = null;
+        headModel.traverse(child => {
+            if (!child.isMesh || !child.geometry.index) return;
+            if (!headMesh || child.geometry.attributes.position.count > headMesh.geometry.attributes.position.count) {
+                headMesh = child;
+            }
+        });
+        return headMesh;
+    }
+
+    // --- Boundary loops ---
+
+    /**
+     * Closed boundary loops of the given triangles, each as an array of vertex indices
+     * in the direction the triangles traverse them.
+     */
+    findBoundaryLoops(triangles) {
+        const edgeUses = new Map();
+        triangles.forEach(([a, b, c]) => {
+            [edgeKey(a, b), edgeKey(b, c), edgeKey(c, a)].forEach(k => edgeUses.set(k, (edgeUses.get(k) || 0) + 1));
+        });
+
+        const next = new Map();
+        triangles.forEach(([a, b, c]) => {
+            [[a, b], [b, c], [c, a]].forEach(([u, v]) => {
+                if (edgeUses.get(edgeKey(u, v)) !== 1) return;
+                if (!next.has(u)) next.set(u, []);
+                next.get(u).push(v);
+            });
+        });
+
+        const loops = [];
+        next.forEach((targets, start) => {
+            while (targets.length > 0) {
+                const loop = [start];
+                let current = targets.pop();
+                while (current !== start && next.has(current) && next.get(current).length > 0) {
+                    loop.push(current);
+                    current = next.get(current).pop();
+                }
+                if (current === start && loop.length >= 3) loops.push(loop);
+            }
+        });
+
+        return loops;
+    }
+
+    // The face contour: the boundary loop enclosing the largest area (eyes and mouth are smaller)
+    findOuterLoop(geometry) {
+        const position = geometry.attributes.position;
+        const loops = this.findBoundaryLoops(this.triangles(geometry.index.array));
+
+        let outer = null;
+        let outerArea = 0;
+        loops.forEach(loop => {
+            const area = Math.abs(signedArea(loop.map(i => [position.getX(i), position.getY(i)])));
+            if (area > outerArea) {
+                outer = loop;
+                outerArea = area;
+            }
+        });
+
+        return outer;
+    }
+
+    triangles(index) {
+        const triangles = [];
+        for (let t = 0; t < index.length; t += 3) {
+            triangles.push([index[t], index[t + 1], index[t + 2]]);
+        }
+        return triangles;
+    }
+
+    // --- Head opening ---
+
+    /**
+     * Moves the head into face space and removes every front-facing triangle that
+     * touches the face outline, seen along the face's forward (+Z) axis.
+     */
+    cutHead(headGeometry, toFace, facePosition, faceLoop) {
+        const source = headGeometry.attributes.position;
+        const positions = new Float32Array(source.count * 3);
+        const point = new THREE.Vector3();
+        const bounds = new THREE.Box3();
+
+        for (let v = 0; v < source.count; v++) {
+            point.fromBufferAttribute(source, v).applyMatrix4(toFace);
+            point.toArray(positions, v * 3);
+            bounds.expandByPoint(point);
+        }
+        const center = bounds.getCenter(new THREE.Vector3());
+
+        const outline = faceLoop.map(i => [facePosition.getX(i), facePosition.getY(i)]);
+        const removed = new Uint8Array(source.count);
+        for (let v = 0; v < source.count; v++) {
+            // Only the front of the head; the back projects into the outline too
+            removed[v] = positions[v * 3 + 2] > center.z &&
+                pointInPolygon(positions[v * 3], positions[v * 3 + 1], outline) ? 1 : 0;
+        }
+
+        const all = this.triangles(headGeometry.index.array);
+        const kept = this.pruneSlivers(all.filter(([a, b, c]) => !removed[a] && !removed[b] && !removed[c]));
+        if (kept.length === all.length) return null;
+
+        // The opening is the longest of the new boundary loops
+        const loops = this.findBoundaryLoops(kept);
+        if (loops.length === 0) return null;
+        const loop = loops.reduce((longest, candidate) => (candidate.length > longest.length ? candidate : longest));
+
+        return { positions, uvs: headGeometry.attributes.uv?.array, triangles: kept, loop };
+    }
+
+    /**
+     * Repeatedly drops triangles with two or three open edges. The cut leaves some
+     * spikes and floating triangles along the opening, which would pinch its outline.
+     */
+    pruneSlivers(triangles) {
+        const edges = ([a, b, c]) => [edgeKey(a, b), edgeKey(b, c), edgeKey(c, a)];
+        const edgeUses = new Map();
+        triangles.forEach(triangle => edges(triangle).forEach(k => edgeUses.set(k, (edgeUses.get(k) || 0) + 1)));
+        const openEdges = triangle => edges(triangle).filter(k => edgeUses.get(k) === 1).length;
+
+        let current = triangles;
+        for (;;) {
+            const slivers = new Set(current.filter(triangle => openEdges(triangle) >= 2));
+            if (slivers.size === 0) return current;
+            slivers.forEach(triangle => edges(triangle).forEach(k => edgeUses.set(k, edgeUses.get(k) - 1)));
+            current = current.filter(triangle => !slivers.has(triangle));
+        }
+    }
+
+    // --- Welding ---
+
+    merge(faceGeometry, faceLoop, head) {
+        const facePosition = faceGeometry.attributes.position;
+        const faceCount = facePosition.count;
+
+        // Face vertices keep their indices (landmark i is still vertex i); used head vertices follow
+        const headIndex = new Map();
+        head.triangles.forEach(triangle => triangle.forEach(v => {
+            if (!headIndex.has(v)) headIndex.set(v, faceCount + headIndex.size);
+        }));
+        // A textured head needs head UVs along the seam strip, so the strip gets its own copy of the face contour
+        const headEnd = faceCount + headIndex.size;
+        const seamCopies = head.uvs ? faceLoop.map((v, k) => [headEnd + k, v]) : [];
+        const vertexCount = headEnd + seamCopies.length;
+
+        const positions = new Float32Array(vertexCount * 3);
+        positions.set(facePosition.array.subarray(0, faceCount * 3));
+        headIndex.forEach((merged, v) => positions.set(head.positions.subarray(v * 3, v * 3 + 3), merged * 3));
+        seamCopies.forEach(([copy, v]) => positions.set(facePosition.array.subarray(v * 3, v * 3 + 3), copy * 3));
+
+        const faceIndex = Array.from(faceGeometry.index.array);
+        const headTriangles = head.triangles.map(triangle => triangle.map(v => headIndex.get(v)));
+        const headLoop = head.loop.map(v => headIndex.get(v));
+        let bridge = this.bridgeLoops(faceLoop, headLoop, positions);
+        if (seamCopies.length > 0) {
+            const copyOf = new Map(seamCopies.map(([copy, v]) => [v, copy]));
+            bridge = bridge.map(triangle => triangle.map(v => copyOf.get(v) ?? v));
+        }
+
+        const IndexArray = vertexCount > 0xffff ? Uint32Array : Uint16Array;
+        const index = new IndexArray(faceIndex.length + (headTriangles.length + bridge.length) * 3);
+        index.set(faceIndex);
+        index.set(headTriangles.flat(), faceIndex.length);
+        index.set(bridge.flat(), faceIndex.length + headTriangles.length * 3);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(index, 1));
+        // Group 0 is the textured face, group 1 the head and the seam strip
+        geometry.addGroup(0, faceIndex.length, 0);
+        geometry.addGroup(faceIndex.length, index.length - faceIndex.length, 1);
+
+        // Head vertices have no face texture; they are drawn with the head material
+        ['uv', 'color'].forEach(name => {
+            const attribute = faceGeometry.attributes[name];
+            if (!attribute) return;
+            const values = new Float32Array(vertexCount * attribute.itemSize).fill(name === 'color' ? 1 : 0);
+            values.set(attribute.array.subarray(0, faceCount * attribute.itemSize));
+            geometry.setAttribute(name, new THREE.BufferAttribute(values, attribute.itemSize));
+        });
+        if (head.uvs) this.copyHeadUVs(geometry, head, headIndex, headLoop, seamCopies);
+
+        this.fadeMorphTargets(geometry, faceGeometry, faceLoop, faceCount, seamCopies);
+
+        geometry.computeVertexNormals();
+        // The copies split the surface only for texturing; shade across the seam as one
+        const normal = geometry.attributes.normal;
+        const sum = new THREE.Vector3();
+        seamCopies.forEach(([copy, v]) => {
+            sum.fromBufferAttribute(normal, copy).add(new THREE.Vector3().fromBufferAttribute(normal, v)).normalize();
+            normal.setXYZ(copy, sum.x, sum.y, sum.z);
+            normal.setXYZ(v, sum.x, sum.y, sum.z);
+        });
+
+        geometry.userData = { ...faceGeometry.userData, welded: true, faceVertexCount: faceCount };
+        return geometry;
+    }
+
+    /**
+     * Head vertices keep their head texture coordinates. Each seam copy of a face
+     * contour vertex takes those of the two nearest opening vertices, weighted by
+     * inverse distance.
+     */
+    copyHeadUVs(geometry, head, headIndex, headLoop, seamCopies) {
+        const uv = geometry.attributes.uv.array;
+        headIndex.forEach((merged, v) => {
+            uv[merged * 2] = head.uvs[v * 2];
+            uv[merged * 2 + 1] = head.uvs[v * 2 + 1];
+        });
+
+        const positions = geometry.attributes.position;
+        const point = new THREE.Vector3();
+        const other = new THREE.Vector3();
+        seamCopies.forEach(([copy]) => {
+            point.fromBufferAttribute(positions, copy);
+            const nearest = headLoop
+                .map(v => ({ v, distance: other.fromBufferAttribute(positions, v).distanceTo(point) }))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, 2);
+            const weights = nearest.map(({ distance }) => 1 / Math.max(distance, 1e-6));
+            const total = weights.reduce((sum, w) => sum + w, 0);
+            [0, 1].forEach(axis => {
+                uv[copy * 2 + axis] = nearest.reduce((sum, { v }, k) => sum + uv[v * 2 + axis] * weights[k] / total, 0);
+            });
+        });
+    }
+
+    /**
+     * Zips two closed loops together with one triangle per loop edge, always taking
+     * the shorter diagonal. Both loops are given in the direction their own triangles
+     * traverse them; each strip triangle runs its loop edge the other way, which
+     * keeps the welded surface consistently wound.
+     */
+    bridgeLoops(faceLoop, headLoop, positions) {
+        const point = i => new THREE.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        const orient = loop => (signedArea(loop.map(i => [positions[i * 3], positions[i * 3 + 1]])) < 0 ? [...loop].reverse() : loop);
+        const owned = new Set();
+        [faceLoop, headLoop].forEach(loop => loop.forEach((v, k) => owned.add(`${v}_${loop[(k + 1) % loop.length]}`)));
+        const wind = ([x, y, z]) => ([[x, y], [y, z], [z, x]].some(([u, v]) => owned.has(`${u}_${v}`)) ? [x, z, y] : [x, y, z]);
+
+        // Walk both loops counter-clockwise as seen from the front
+        const a = orient(faceLoop);
+        let b = orient(headLoop);
+
+        // Start both walks at the closest pair
+        const start = point(a[0]);
+        let closest = 0;
+        b.forEach((v, j) => {
+            if (point(v).distanceToSquared(start) < point(b[closest]).distanceToSquared(start)) closest = j;
+        });
+        b = [...b.slice(closest), ...b.slice(0, closest)];
+
+        const triangles = [];
+        let i = 0, j = 0;
+        while (i < a.length || j < b.length) {
+            const ai = a[i % a.length], an = a[(i + 1) % a.length];
+            const bj = b[j % b.length], bn = b[(j + 1) % b.length];
+            const advanceFace = j >= b.length ||
+                (i < a.length && point(an).distanceToSquared(point(bj)) < point(ai).distanceToSquared(point(bn)));
+
+            if (advanceFace) {
+                triangles.push(wind([ai, an, bj]));
+                i++;
+            } else {
+                triangles.push(wind([ai, bn, bj]));
+                j++;
+            }
+        }
+
+        return triangles;
+    }
+
+    /**
+     * Head vertices near the seam follow a distance-weighted blend of the face
+     * contour's displacement, scaled down to zero at fadeDistance from the seam.
+     */
+    fadeMorphTargets(geometry, faceGeometry, faceLoop, faceCount, seamCopies = []) {
+        const morphs = faceGeometry.morphAttributes.position || [];
+        const positions = geometry.attributes.position;
+        const vertexCount = positions.count;
+
+        const facePosition = faceGeometry.attributes.position;
+        faceGeometry.computeBoundingBox();
+        const faceWidth = faceGeometry.boundingBox.max.x - faceGeometry.boundingBox.min.x;
+        const radius = this.fadeDistance * faceWidth;
+        // Blend neighbouring contour vertices so the fade has no seams of its own
+        const spread = radius * 0.3;
+
+        const contour = faceLoop.map(i => new THREE.Vector3().fromBufferAttribute(facePosition, i));
+        const reach = faceGeometry.boundingBox.clone().expandByScalar(radius);
+        const point = new THREE.Vector3();
+        const influences = [];
+
+        for (let v = faceCount; v < vertexCount - seamCopies.length; v++) {
+            point.fromBufferAttribute(positions, v);
+            if (!reach.containsPoint(point)) continue;
+            const distances = contour.map(c => c.distanceTo(point));
+            const nearest = Math.min(...distances);
+            if (nearest >= radius) continue;
+
+            const t = nearest / radius;
+            const falloff = (1 - t * t) * (1 - t * t);
+            const weights = distances.map(d => Math.exp(-Math.pow((d - nearest) / spread, 2)));
+            const total = weights.reduce((sum, w) => sum + w, 0);
+            influences.push({ v, terms: weights.map((w, k) => [faceLoop[k], falloff * w / total]).filter(([, w]) => w > 1e-4) });
+        }
+
+        geometry.morphAttributes.position = morphs.map(morph => {
+            const delta = new Float32Array(vertexCount * 3);
+            delta.set(morph.array.subarray(0, faceCount * 3));
+            influences.forEach(({ v, terms }) => {
+                terms.forEach(([source, weight]) => {
+                    delta[v * 3] += weight * morph.array[source * 3];
+                    delta[v * 3 + 1] += weight * morph.array[source * 3 + 1];
+                    delta[v * 3 + 2] += weight * morph.array[source * 3 + 2];
+                });
+            });
+            // Seam copies move exactly like the contour vertices they duplicate
+            seamCopies.forEach(([copy, v]) => delta.set(morph.array.subarray(v * 3, v * 3 + 3), copy * 3));
+            const attribute = new THREE.BufferAttribute(delta, 3);
+            attribute.name = morph.name;
+            return attribute;
+        });
+        geometry.morphTargetsRelative = faceGeometry.morphTargetsRelative;
+    }
+}
+
+// Undirected edge id, valid for meshes of up to 2^22 vertices
+function edgeKey(a, b) {
+    return a < b ? a * 0x400000 + b : b * 0x400000 + a;
+}
+
+// Shoelace area of a 2D polygon given as [x, y] pairs; positive when counter-clockwise
+function signedArea(points) {
+    let area = 0;
+    points.forEach(([x0, y0], i) => {
+        const [x1, y1] = points[(i + 1) % points.length];
+        area += x0 * y1 - x1 * y0;
+    });
+    return area / 2;
+}
+
+// Even-odd rule
+function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
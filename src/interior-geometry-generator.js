@@ -0,0 +1,408 @@
+/**
+ * Interior Geometry Generator
+ * Builds the eyeballs, teeth, gums and tongue that fill the eye and mouth openings
+ * of the face mesh. Everything is sized from the landmarks of the face it belongs
+ * to and carries the morph targets that move it (gaze, jaw and tongue). Given the
+ * photo, the eyes and teeth are textured from it; otherwise they are drawn procedurally.
+ */
+
+import * as THREE from 'three';
+import { FACE_REGIONS } from './face-regions.js';
+import { InteriorTextureExtractor } from './interior-texture-extractor.js';
+
+const SIDES = ['Left', 'Right'];
+
+// Human eyeball diameter (~24 mm) over iris diameter (~11.7 mm)
+const EYEBALL_TO_IRIS = 2.05;
+
+// Pupil radius as a share of the iris radius
+const PUPIL_TO_IRIS = 0.4;
+
+const GAZE_SHAPES = ['eyeLookUp', 'eyeLookDown', 'eyeLookIn', 'eyeLookOut'];
+const JAW_SHAPES = ['jawOpen', 'jawForward', 'jawLeft', 'jawRight'];
+
+/**
+ * Dental arch proportions. Widths are shares of the mouth width, heights of the
+ * face height and depths of the face depth, so that they follow the mesh axes.
+ */
+const ARCHES = {
+    upper: { halfWidth: 0.5, archDepth: 0.4, crown: 0.055, gum: 0.035, edgeOffset: -0.01 },
+    lower: { halfWidth: 0.47, archDepth: 0.38, crown: 0.05, gum: 0.035, edgeOffset: 0.005 }
+};
+const TOOTH_THICKNESS = 0.08;
+// Gap between the outer lip line and the front of the incisors
+const LIP_THICKNESS = 0.1;
+
+export class InteriorGeometryGenerator {
+    /**
+     * options.photo: { image, landmarks, toImage } the face was built from, where
+     * toImage(point) projects a point of the face's local space to normalized photo coordinates.
+     */
+    constructor(deformer, options = {}) {
+        this.deformer = deformer;
+        this.metrics = deformer.metrics;
+        this.photo = options.photo ?? null;
+        this.extractor = this.photo ? new InteriorTextureExtractor(this.photo.image, this.photo.landmarks) : null;
+        this.meshes = [];
+        this.textures = [];
+        this.dentalMaterials = null;
+        // Photo teeth texture and the photo region it covers; undefined until first asked for
+        this.teethTexture = undefined;
+    }
+
+    /**
+     * Returns a group holding every interior part, in the face mesh's local space.
+     * Add it as a child of the face mesh so it follows the face transform.
+     */
+    generate() {
+        const group = new THREE.Group();
+        group.name = 'interior';
+
+        SIDES.forEach(side => group.add(this.createEyeball(side)));
+        group.add(this.createTeeth('upper'));
+        group.add(this.createTeeth('lower'));
+        group.add(this.createTongue());
+
+        return group;
+    }
+
+    // --- Eyes ---
+
+    /**
+     * Iris center and radii. Without the iris landmarks (468-477) the iris is
+     * estimated from the eye corners.
+     */
+    measureIris(side) {
+        const eye = FACE_REGIONS.eyes[side];
+        const { eyeCenter, eyeWidth } = this.metrics;
+
+        if (this.deformer.vertexCount > Math.max(...eye.iris)) {
+            const [center, a, b, c, d] = eye.iris.map(i => this.deformer.point(i));
+            const radiusX = (a.distanceTo(center) + c.distanceTo(center)) / 2;
+            const radiusY = (b.distanceTo(center) + d.distanceTo(center)) / 2;
+            return { center, radiusX, radiusY: THREE.MathUtils.clamp(radiusY, 0.6 * radiusX, 1.4 * radiusX) };
+        }
+
+        // The iris spans about 42% of the eye width and sits level with the lid margins
+        const center = eyeCenter[side].clone();
+        center.z = Math.max(...eye.upper[0].map(i => this.deformer.point(i).z));
+        const radius = 0.21 * eyeWidth[side];
+        return { center, radiusX: radius, radiusY: radius };
+    }
+
+    createEyeball(side) {
+        const iris = this.measureIris(side);
+        const radius = iris.radiusX * EYEBALL_TO_IRIS;
+        // The iris is a cap of the eyeball, so its center sits inside the sphere
+        const irisDistance = Math.sqrt(radius * radius - iris.radiusX * iris.radiusX);
+        const center = iris.center.clone().add(new THREE.Vector3(0, 0, -irisDistance));
+
+        const geometry = new THREE.SphereGeometry(1, 32, 24);
+        this.setEyeUVs(geometry);
+        // The mesh Y axis is scaled differently from X, which the iris shape reveals
+        geometry.scale(radius, radius * (iris.radiusY / iris.radiusX), radius);
+        geometry.translate(center.x, center.y, center.z);
+
+        const names = GAZE_SHAPES.map(shape => shape + side);
+        this.addMorphTargets(geometry, names, (name, point) => {
+            const gaze = this.deformer.gazeOffset(name);
+            const shift = Math.min(gaze.length(), irisDistance);
+            const forward = new THREE.Vector3(0, 0, 1);
+            const look = new THREE.Vector3(gaze.x, gaze.y, 0)
+                .setLength(shift)
+                .setZ(Math.sqrt(irisDistance * irisDistance - shift * shift))
+                .normalize();
+            const rotation = new THREE.Quaternion().setFromUnitVectors(forward, look);
+            const p = point.clone().sub(center);
+            return p.clone().applyQuaternion(rotation).sub(p);
+        });
+
+        const irisAngle = Math.asin(iris.radiusX / radius);
+        const irisRadius = irisAngle / Math.PI / 2;
+        const photoEye = this.extractor && this.extractor.createEyeTexture(side, irisRadius);
+        // Each eye has its own material, since a photo texture differs from side to side
+        const material = new THREE.MeshStandardMaterial({
+            name: 'eye' + side,
+            map: photoEye ? this.createCanvasTexture(photoEye) : this.createEyeTexture(irisRadius),
+            roughness: 0.15,
+            metalness: 0.0
+        });
+
+        return this.createMesh(geometry, material, 'eye' + side);
+    }
+
+    /**
+     * Polar projection around the front of the eye: the iris is centered in the
+     * texture and the distance from the center grows with the angle from the front.
+     */
+    setEyeUVs(geometry) {
+        const position = geometry.attributes.position;
+        const uvs = new Float32Array(position.count * 2);
+
+        for (let v = 0; v < position.count; v++) {
+            const x = position.getX(v), y = position.getY(v), z = position.getZ(v);
+            const radius = Math.acos(THREE.MathUtils.clamp(z, -1, 1)) / Math.PI / 2;
+            const angle = Math.atan2(y, x);
+            uvs[v * 2] = 0.5 + radius * Math.cos(angle);
+            uvs[v * 2 + 1] = 0.5 + radius * Math.sin(angle);
+        }
+
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    }
+
+    // Sclera, iris and pupil for the polar eye UVs; irisRadius is in UV units
+    createEyeTexture(irisRadius, size = 512) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const c = size / 2;
+        const r = irisRadius * size;
+
+        ctx.fillStyle = '#f2eee8';
+        ctx.fillRect(0, 0, size, size);
+
+        const iris = ctx.createRadialGradient(c, c, r * PUPIL_TO_IRIS, c, c, r);
+        iris.addColorStop(0, '#6b4a2f');
+        iris.addColorStop(0.75, '#4a3220');
+        iris.addColorStop(1, '#1f150e');
+        ctx.fillStyle = iris;
+        ctx.beginPath();
+        ctx.arc(c, c, r, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#080605';
+        ctx.beginPath();
+        ctx.arc(c, c, r * PUPIL_TO_IRIS, 0, Math.PI * 2);
+        ctx.fill();
+
+        return this.createCanvasTexture(canvas);
+    }
+
+    // --- Mouth ---
+
+    // Where the lips meet, and how far back the teeth start
+    measureMouth() {
+        const { mouthCenter, depth } = this.metrics;
+        const lips = FACE_REGIONS.lips;
+        const frontZ = Math.min(
+            this.deformer.point(lips.upperCenter).z,
+            this.deformer.point(lips.lowerCenter).z
+        ) - LIP_THICKNESS * depth;
+        return { seamY: mouthCenter.y, frontZ };
+    }
+
+    /**
+     * One dental arch: a U-shaped strip of teeth with the gums along its root side.
+     * The upper arch is fixed to the skull, the lower one rides on the jaw.
+     */
+    createTeeth(arch) {
+        const { mouthWidth: M, faceHeight: F, depth: D } = this.metrics;
+        const config = ARCHES[arch];
+        const { seamY, frontZ } = this.measureMouth();
+        const up = arch === 'upper' ? 1 : -1;
+        const thickness = TOOTH_THICKNESS * D;
+
+        const halfWidth = config.halfWidth * M;
+        const archDepth = config.archDepth * D;
+        // Lower incisors close behind the upper ones
+        const archFront = arch === 'upper' ? frontZ : frontZ - thickness;
+
+        const edgeY = seamY + config.edgeOffset * F;
+        const rows = [edgeY, edgeY + up * config.crown * F, edgeY + up * (config.crown + config.gum) * F];
+
+        const segments = 24;
+        const positions = [];
+        for (let s = 0; s <= segments; s++) {
+            // Half ellipse from the left molars round the incisors to the right molars
+            const angle = Math.PI * s / segments;
+            const x = -halfWidth * Math.cos(angle);
+            const z = archFront - archDepth * (1 - Math.sin(angle));
+            const outward = new THREE.Vector2(x / (halfWidth * halfWidth), (z - archFront + archDepth) / (archDepth * archDepth))
+                .normalize();
+
+            // Front (lip side) then back (tongue side), each from the biting edge to the gum line
+            rows.forEach(y => positions.push(x, y, z));
+            rows.forEach(y => positions.push(x - outward.x * thickness, y, z - outward.y * thickness));
+        }
+
+        const stride = rows.length * 2;
+        const vertex = (s, row, back) => s * stride + (back ? rows.length : 0) + row;
+        const teeth = [];
+        const gums = [];
+
+        for (let s = 0; s < segments; s++) {
+            const outward = this.archOutward(positions, vertex(s, 0, false), vertex(s, 0, true));
+            const down = new THREE.Vector3(0, -up, 0);
+
+            // Crown: front, back and biting edge
+            this.addQuad(teeth, positions, [vertex(s, 0, false), vertex(s + 1, 0, false), vertex(s + 1, 1, false), vertex(s, 1, false)], outward);
+            this.addQuad(teeth, positions, [vertex(s, 0, true), vertex(s + 1, 0, true), vertex(s + 1, 1, true), vertex(s, 1, true)], outward.clone().negate());
+            this.addQuad(teeth, positions, [vertex(s, 0, false), vertex(s + 1, 0, false), vertex(s + 1, 0, true), vertex(s, 0, true)], down);
+
+            // Gums: front, back and the ridge they grow from
+            this.addQuad(gums, positions, [vertex(s, 1, false), vertex(s + 1, 1, false), vertex(s + 1, 2, false), vertex(s, 2, false)], outward);
+            this.addQuad(gums, positions, [vertex(s, 1, true), vertex(s + 1, 1, true), vertex(s + 1, 2, true), vertex(s, 2, true)], outward.clone().negate());
+            this.addQuad(gums, positions, [vertex(s, 2, false), vertex(s + 1, 2, false), vertex(s + 1, 2, true), vertex(s, 2, true)], down.clone().negate());
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setIndex([...teeth, ...gums]);
+        geometry.addGroup(0, teeth.length, 0);
+        geometry.addGroup(teeth.length, gums.length, 1);
+        geometry.computeVertexNormals();
+        const teethTexture = this.getTeethTexture();
+        if (teethTexture) this.setTeethUVs(geometry, teethTexture.region);
+
+        if (arch === 'lower') {
+            this.addMorphTargets(geometry, JAW_SHAPES, (name, point) => this.deformer.jawOffset(name, point));
+        }
+
+        // Both arches share one teeth and one gums material
+        this.dentalMaterials = this.dentalMaterials || [
+            new THREE.MeshStandardMaterial({
+                name: 'teeth',
+                // The photo already carries the teeth's color
+                color: teethTexture ? 0xffffff : 0xf0ebe0,
+                map: teethTexture ? teethTexture.texture : null,
+                roughness: 0.35,
+                metalness: 0.0
+            }),
+            new THREE.MeshStandardMaterial({ name: 'gums', color: 0xc2606a, roughness: 0.6, metalness: 0.0 })
+        ];
+
+        return this.createMesh(geometry, this.dentalMaterials, arch === 'upper' ? 'teethUpper' : 'teethLower');
+    }
+
+    // The open mouth's teeth from the photo, shared by both arches; null when there are none
+    getTeethTexture() {
+        if (this.teethTexture === undefined) {
+            const teeth = this.extractor && this.extractor.createTeethTexture();
+            this.teethTexture = teeth
+                ? { texture: this.createCanvasTexture(teeth.canvas), region: teeth }
+                : null;
+        }
+        return this.teethTexture;
+    }
+
+    /**
+     * Front projection into the photo's inner-lip region, so the teeth show what the
+     * photo shows at their place. Gums share the UVs but not the texture.
+     */
+    setTeethUVs(geometry, region) {
+        const position = geometry.attributes.position;
+        const uvs = new Float32Array(position.count * 2);
+        const point = new THREE.Vector3();
+
+        for (let v = 0; v < position.count; v++) {
+            const image = this.photo.toImage(point.fromBufferAttribute(position, v));
+            uvs[v * 2] = (image.x - region.left) / region.width;
+            uvs[v * 2 + 1] = 1 - (image.y - region.top) / region.height;
+        }
+
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    }
+
+    // Horizontal direction from the tongue side to the lip side of one arch section
+    archOutward(positions, front, back) {
+        return new THREE.Vector3(
+            positions[front * 3] - positions[back * 3],
+            0,
+            positions[front * 3 + 2] - positions[back * 3 + 2]
+        ).normalize();
+    }
+
+    // Two triangles for quad a-b-c-d, wound so that they face `facing`
+    addQuad(indices, positions, [a, b, c, d], facing) {
+        const p = i => new THREE.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        const normal = p(b).sub(p(a)).cross(p(c).sub(p(a)));
+        if (normal.dot(facing) >= 0) {
+            indices.push(a, b, c, a, c, d);
+        } else {
+            indices.push(a, c, b, a, d, c);
+        }
+    }
+
+    // A flattened ellipsoid resting on the floor of the mouth, behind the lower incisors
+    createTongue() {
+        const { mouthWidth: M, faceHeight: F, depth: D } = this.metrics;
+        const { seamY, frontZ } = this.measureMouth();
+        const radii = new THREE.Vector3(0.3 * M, 0.035 * F, 0.35 * D);
+        const center = new THREE.Vector3(0, seamY - 0.05 * F, frontZ - TOOTH_THICKNESS * D * 2 - radii.z);
+        const back = center.z - radii.z;
+        const tip = center.z + radii.z;
+
+        const geometry = new THREE.SphereGeometry(1, 24, 16);
+        geometry.scale(radii.x, radii.y, radii.z);
+        geometry.translate(center.x, center.y, center.z);
+
+        // The tip leaves the mouth by about a third of the mouth width
+        const reach = this.metrics.mouthCenter.z - tip + 0.35 * M;
+
+        this.addMorphTargets(geometry, [...JAW_SHAPES, 'tongueOut'], (name, point) => {
+            if (name !== 'tongueOut') return this.deformer.jawOffset(name, point);
+
+            // The front of the tongue moves most and narrows as it stretches
+            const w = Math.pow((point.z - back) / (tip - back), 2);
+            return new THREE.Vector3(-0.25 * w * point.x, -0.08 * M * w, reach * w);
+        });
+
+        const material = new THREE.MeshStandardMaterial({ name: 'tongue', color: 0xc06868, roughness: 0.7, metalness: 0.0 });
+        return this.createMesh(geometry, material, 'tongue');
+    }
+
+    // --- Shared ---
+
+    /**
+     * Stores one relative morph target per name. offsetFor(name, point) returns the
+     * displacement of a base position, or null where the shape doesn't move it.
+     */
+    addMorphTargets(geometry, names, offsetFor) {
+        const position = geometry.attributes.position;
+        const point = new THREE.Vector3();
+
+        geometry.morphAttributes.position = names.map(name => {
+            const delta = new Float32Array(position.count * 3);
+            for (let v = 0; v < position.count; v++) {
+                point.fromBufferAttribute(position, v);
+                const offset = offsetFor(name, point);
+                if (offset) offset.toArray(delta, v * 3);
+            }
+            const attribute = new THREE.Float32BufferAttribute(delta, 3);
+            attribute.name = name;
+            return attribute;
+        });
+        geometry.morphTargetsRelative = true;
+    }
+
+    createCanvasTexture(canvas) {
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        this.textures.push(texture);
+        return texture;
+    }
+
+    createMesh(geometry, material, name) {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = name;
+        mesh.castShadow = false;
+        mesh.receiveShadow = true;
+        this.meshes.push(mesh);
+        return mesh;
+    }
+
+    dispose() {
+        const materials = new Set();
+        this.meshes.forEach(mesh => {
+            mesh.geometry.dispose();
+            [].concat(mesh.material).forEach(material => materials.add(material));
+        });
+        materials.forEach(material => material.dispose());
+        this.textures.forEach(texture => texture.dispose());
+        this.meshes = [];
+        this.textures = [];
+        this.dentalMaterials = null;
+        this.teethTexture = undefined;
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * Interior Texture Extractor
+ * Takes the eye and teeth textures of the interior meshes from the photo. Each eye's
+ * iris and sclera are unwrapped from the iris landmarks (468-477) into the eyeball's
+ * polar UV layout; what the lids hide is filled from what they show. When the mouth is
+ * open, the inner-lip region becomes the teeth texture.
+ */
+
+import { FACE_REGIONS } from './face-regions.js';
+
+// Radius bins the visible iris is averaged in, to fill the parts under the lids
+const IRIS_RINGS = 24;
+
+// A visible iris sample this much brighter than its ring is a catchlight, not iris
+const CATCHLIGHT_RATIO = 1.6;
+
+// Inner lip gap over mouth width below which the mouth counts as closed
+const MIN_MOUTH_OPENING = 0.08;
+
+export class InteriorTextureExtractor {
+    constructor(image, landmarks, options = {}) {
+        this.image = image;
+        this.landmarks = landmarks;
+        this.eyeTextureSize = options.eyeTextureSize ?? 512;
+        this.teethTextureSize = options.teethTextureSize ?? 512;
+    }
+
+    /**
+     * Eye texture for the polar UVs of the eyeball (iris centered, distance from the center
+     * growing with the angle from the front). irisRadius is the iris radius in UV units.
+     * Returns null without iris landmarks or when the lids hide the iris entirely.
+     */
+    createEyeTexture(side, irisRadius) {
+        const eye = FACE_REGIONS.eyes[side];
+        if (this.landmarks.length <= Math.max(...eye.iris)) return null;
+
+        const { width: W, height: H } = this.image;
+        const [center, a, b, c, d] = eye.iris.map(i => ({ x: this.landmarks[i].x * W, y: this.landmarks[i].y * H }));
+        const distance = p => Math.hypot(p.x - center.x, p.y - center.y);
+        const radiusX = (distance(a) + distance(c)) / 2;
+        const radiusY = Math.min(1.4, Math.max(0.6, (distance(b) + distance(d)) / 2 / radiusX)) * radiusX;
+        // The iris edge lies at the angle 2π·irisRadius from the front of the eyeball
+        const eyeballX = radiusX / Math.sin(irisRadius * Math.PI * 2);
+        const eyeballY = radiusY / Math.sin(irisRadius * Math.PI * 2);
+
+        const opening = [eye.outerCorner, ...eye.upper[0], eye.innerCorner, ...[...eye.lower[0]].reverse()]
+            .map(i => ({ x: this.landmarks[i].x * W, y: this.landmarks[i].y * H }));
+        const photo = this.readRegion(center.x - eyeballX, center.y - eyeballY, 2 * eyeballX, 2 * eyeballY);
+
+        // Photo position of every texel on the front half of the eyeball, and whether the lids show it
+        const size = this.eyeTextureSize;
+        const texels = [];
+        for (let py = 0; py < size; py++) {
+            for (let px = 0; px < size; px++) {
+                const dx = (px + 0.5) / size - 0.5;
+                const dy = 0.5 - (py + 0.5) / size;
+                const radius = Math.hypot(dx, dy);
+                const angle = radius * Math.PI * 2;
+                const iris = radius < irisRadius;
+                let color = null;
+                if (angle < Math.PI / 2) {
+                    const s = Math.sin(angle) / (radius || 1);
+                    const x = center.x + eyeballX * s * dx;
+                    const y = center.y - eyeballY * s * dy;
+                    if (insidePolygon(x, y, opening)) color = photo.sample(x, y);
+                }
+                texels.push({ radius, iris, color });
+            }
+        }
+
+        const rings = ringAverages(texels, irisRadius);
+        // Catchlights are dropped from the iris and re-averaged
+        texels.forEach(texel => {
+            if (!texel.iris || !texel.color) return;
+            const ring = rings[ringIndex(texel.radius, irisRadius)];
+            if (ring && luma(texel.color) > CATCHLIGHT_RATIO * luma(ring)) texel.color = null;
+        });
+        const irisRings = fillRings(ringAverages(texels, irisRadius));
+        if (!irisRings) return null;
+
+        // Sclera: the brighter half of what shows, away from lid shadows and lashes
+        const sclera = texels.filter(texel => !texel.iris && texel.color).map(texel => texel.color);
+        sclera.sort((p, q) => luma(q) - luma(p));
+        const scleraColor = sclera.length > 0
+            ? mean(sclera.slice(0, Math.ceil(sclera.length / 2)))
+            : [242, 238, 232];
+        const limbus = irisRings[IRIS_RINGS - 1];
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(size, size);
+        texels.forEach((texel, p) => {
+            let color;
+            if (texel.iris) {
+                color = texel.color || irisRings[ringIndex(texel.radius, irisRadius)];
+            } else {
+                // The dark limbal ring fades into the sclera just outside the iris
+                const t = Math.min(1, (texel.radius / irisRadius - 1) / 0.15);
+                color = scleraColor.map((value, k) => limbus[k] + (value - limbus[k]) * t * t * (3 - 2 * t));
+            }
+            imageData.data.set([color[0], color[1], color[2], 255], p * 4);
+        });
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Teeth texture: the photo's inner-lip region, with the lips replaced by the teeth
+     * tone. Returns { canvas, left, top, width, height }, the region in normalized photo
+     * coordinates, or null when the mouth is closed.
+     */
+    createTeethTexture() {
+        const { lips } = FACE_REGIONS;
+        const { width: W, height: H } = this.image;
+        const point = i => ({ x: this.landmarks[i].x * W, y: this.landmarks[i].y * H });
+        const gap = Math.hypot(point(lips.upperCenter).x - point(lips.lowerCenter).x, point(lips.upperCenter).y - point(lips.lowerCenter).y);
+        const mouthWidth = Math.hypot(point(lips.Left.corners[0]).x - point(lips.Right.corners[0]).x, point(lips.Left.corners[0]).y - point(lips.Right.corners[0]).y);
+        if (gap < MIN_MOUTH_OPENING * mouthWidth) return null;
+
+        const opening = [lips.Left.corners[1], ...lips.upperInner, lips.Right.corners[1], ...[...lips.lowerInner].reverse()].map(point);
+        const xs = opening.map(p => p.x);
+        const ys = opening.map(p => p.y);
+        const left = Math.min(...xs), top = Math.min(...ys);
+        const width = Math.max(...xs) - left, height = Math.max(...ys) - top;
+        const photo = this.readRegion(left, top, width, height);
+
+        // As wide as the texture size, as tall as the opening's proportions ask for
+        const textureWidth = this.teethTextureSize;
+        const textureHeight = Math.max(16, Math.min(textureWidth, Math.round(textureWidth * height / width)));
+        const inside = [];
+        const texels = [];
+        for (let py = 0; py < textureHeight; py++) {
+            for (let px = 0; px < textureWidth; px++) {
+                const x = left + (px + 0.5) / textureWidth * width;
+                const y = top + (py + 0.5) / textureHeight * height;
+                const color = photo.sample(x, y);
+                const isInside = insidePolygon(x, y, opening);
+                texels.push({ color, isInside });
+                if (isInside) inside.push(color);
+            }
+        }
+
+        // Teeth are the bright, unsaturated part of the opening
+        const teeth = inside.filter(([r, g, b]) => luma([r, g, b]) > 120 && Math.max(r, g, b) - Math.min(r, g, b) < 60);
+        const tone = teeth.length > 0 ? mean(teeth) : [240, 235, 224];
+
+        const canvas = document.createElement('canvas');
+        canvas.width = textureWidth;
+        canvas.height = textureHeight;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(textureWidth, textureHeight);
+        texels.forEach(({ color, isInside }, p) => {
+            const value = isInside ? color : tone;
+            imageData.data.set([value[0], value[1], value[2], 255], p * 4);
+        });
+        ctx.putImageData(imageData, 0, 0);
+        return { canvas, left: left / W, top: top / H, width: width / W, height: height / H };
+    }
+
+    // Photo pixels of a rectangle (photo pixel units), with bilinear sampling in photo coordinates
+    readRegion(x, y, width, height) {
+        const left = Math.max(0, Math.floor(x) - 1);
+        const top = Math.max(0, Math.floor(y) - 1);
+        const w = Math.max(1, Math.min(this.image.width, Math.ceil(x + width) + 2) - left);
+        const h = Math.max(1, Math.min(this.image.height, Math.ceil(y + height) + 2) - top);
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.image, left, top, w, h, 0, 0, w, h);
+        const data = ctx.getImageData(0, 0, w, h).data;
+
+        const sample = (sx, sy) => {
+            const fx = Math.min(w - 1, Math.max(0, sx - left - 0.5));
+            const fy = Math.min(h - 1, Math.max(0, sy - top - 0.5));
+            const x0 = Math.floor(fx), y0 = Math.floor(fy);
+            const x1 = Math.min(w - 1, x0 + 1), y1 = Math.min(h - 1, y0 + 1);
+            const tx = fx - x0, ty = fy - y0;
+            return [0, 1, 2].map(c => {
+                const top0 = data[(y0 * w + x0) * 4 + c] * (1 - tx) + data[(y0 * w + x1) * 4 + c] * tx;
+                const bottom = data[(y1 * w + x0) * 4 + c] * (1 - tx) + data[(y1 * w + x1) * 4 + c] * tx;
+                return top0 * (1 - ty) + bottom * ty;
+            });
+        };
+        return { sample };
+    }
+}
+
+function ringIndex(radius, irisRadius) {
+    return Math.min(IRIS_RINGS - 1, Math.floor(radius / irisRadius * IRIS_RINGS));
+}
+
+// Mean visible color per iris ring, null where nothing of the ring shows
+function ringAverages(texels, irisRadius) {
+    const sums = Array.from({ length: IRIS_RINGS }, () => [0, 0, 0, 0]);
+    texels.forEach(({ radius, iris, color }) => {
+        if (!iris || !color) return;
+        const sum = sums[ringIndex(radius, irisRadius)];
+        for (let c = 0; c < 3; c++) sum[c] += color[c];
+        sum[3]++;
+    });
+    return sums.map(sum => (sum[3] > 0 ? sum.slice(0, 3).map(value => value / sum[3]) : null));
+}
+
+// Empty rings take the nearest ring that shows; null when no ring does
+function fillRings(rings) {
+    const shown = rings.map((ring, i) => (ring ? i : -1)).filter(i => i >= 0);
+    if (shown.length === 0) return null;
+    return rings.map((ring, i) => ring || rings[shown.reduce((best, j) => (Math.abs(j - i) < Math.abs(best - i) ? j : best))]);
+}
+
+function luma([r, g, b]) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function mean(colors) {
+    const sum = [0, 0, 0];
+    colors.forEach(color => { for (let c = 0; c < 3; c++) sum[c] += color[c]; });
+    return sum.map(value => value / colors.length);
+}
+
+function insidePolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i], b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
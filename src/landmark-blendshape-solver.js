@@ -0,0 +1,218 @@
+/**
+ * Landmark Blendshape Solver
+ * Computes the ARKit coefficients geometrically from the face landmarks: eye aspect
+ * ratios, iris offsets, brow heights, lip corner positions, lip thickness, mouth width,
+ * jaw drop, cheek and nose wing raise. Every measurement is taken in a face frame
+ * (origin between the eyes, x along the eye line, y up) in units of the inter-ocular
+ * distance, and ramped from its value on a neutral face to its value at full strength.
+ *
+ * tongueOut cannot be seen in the landmarks and is left out.
+ */
+
+import { FACE_REGIONS } from './face-regions.js';
+
+const SIDES = ['Left', 'Right'];
+
+/**
+ * Measurements of a neutral face, taken on the canonical MediaPipe layout. Iris offsets
+ * are zero at rest by construction; the depth measurements are typical adult values.
+ */
+const NEUTRAL = {
+    eyeOpen: 0.3,
+    lowerLid: -0.064,
+    browInner: 0.352,
+    browOuter: 0.288,
+    chinDrop: 1.17,
+    chinDepth: -0.15,
+    lipGap: 0.01,
+    mouthWidth: 0.785,
+    cornerHeight: -0.003,
+    cornerSpread: 0.392,
+    cornerDepth: -0.25,
+    upperLip: 0.132,
+    lowerLip: 0.139,
+    lowerLipRaise: -0.141,
+    noseToLip: 0.167,
+    lipThickness: 0.235,
+    upperLipSide: 0.182,
+    lowerLipSide: 0.743,
+    cheekWidth: 1.198,
+    cheekToLid: 0.437,
+    wingToEye: 0.55
+};
+
+export class LandmarkBlendshapeSolver {
+    constructor(options = {}) {
+        this.neutral = { ...NEUTRAL, ...options.neutral };
+    }
+
+    /**
+     * Coefficients by ARKit name. aspect is the photo's width over its height, as the
+     * landmarks are normalized to each axis separately.
+     */
+    solve(landmarks, aspect = 1) {
+        return this.coefficients(this.measure(this.faceFrame(landmarks, aspect), landmarks.length));
+    }
+
+    /**
+     * Landmark accessor in the face frame: x towards the image-right eye, y up, z towards
+     * the camera, all divided by the distance between the eye centers.
+     */
+    faceFrame(landmarks, aspect) {
+        const raw = i => ({ x: landmarks[i].x * aspect, y: landmarks[i].y, z: landmarks[i].z * aspect });
+        const eyeCenter = side => {
+            const { outerCorner, innerCorner } = FACE_REGIONS.eyes[side];
+            const a = raw(outerCorner), b = raw(innerCorner);
+            return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 };
+        };
+        const left = eyeCenter('Left'), right = eyeCenter('Right');
+        const origin = { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2, z: (left.z + right.z) / 2 };
+        const distance = Math.hypot(right.x - left.x, right.y - left.y) || 1;
+        // Image y points down, so up is the eye line turned a quarter clockwise
+        const axisX = { x: (right.x - left.x) / distance, y: (right.y - left.y) / distance };
+        const axisY = { x: axisX.y, y: -axisX.x };
+
+        return i => {
+            const p = raw(i);
+            const dx = p.x - origin.x, dy = p.y - origin.y;
+            return {
+                x: (dx * axisX.x + dy * axisX.y) / distance,
+                y: (dx * axisY.x + dy * axisY.y) / distance,
+                z: -(p.z - origin.z) / distance
+            };
+        };
+    }
+
+    // Raw measurements; per-side ones are keyed by side
+    measure(point, landmarkCount = Infinity) {
+        const { eyes, brows, lips, nose, cheeks, chin } = FACE_REGIONS;
+        const mean = indices => {
+            const sum = { x: 0, y: 0, z: 0 };
+            indices.forEach(i => {
+                const p = point(i);
+                sum.x += p.x;
+                sum.y += p.y;
+                sum.z += p.z;
+            });
+            return { x: sum.x / indices.length, y: sum.y / indices.length, z: sum.z / indices.length };
+        };
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const lipCenter = mean([lips.upperCenter, lips.lowerCenter]);
+        // The corners follow the opening jaw by about a third of the lip gap
+        const cornerReference = point(lips.upperCenter).y - 0.3 * (point(lips.upperCenter).y - point(lips.lowerCenter).y);
+        const subnasale = point(2);
+        const chinTip = point(chin[0]);
+        // Lip points halfway between the center and each corner
+        const sideIndex = { Left: 2, Right: 6 };
+
+        const m = {
+            chinDrop: subnasale.y - chinTip.y,
+            chinShift: chinTip.x - point(nose.bridge[0]).x,
+            chinDepth: chinTip.z - subnasale.z,
+            lipGap: point(lips.upperCenter).y - point(lips.lowerCenter).y,
+            mouthWidth: distance(point(lips.Left.corners[0]), point(lips.Right.corners[0])),
+            mouthShift: (point(lips.Left.corners[0]).x + point(lips.Right.corners[0]).x) / 2,
+            upperLip: point(lips.upperOuter[4]).y - point(lips.upperCenter).y,
+            lowerLip: point(lips.lowerCenter).y - point(lips.lowerOuter[4]).y,
+            lowerLipRaise: point(lips.lowerOuter[4]).y - (point(lips.Left.corners[0]).y + point(lips.Right.corners[0]).y) / 2,
+            noseToLip: subnasale.y - point(lips.upperOuter[4]).y,
+            cheekWidth: distance(point(cheeks.Left[3]), point(cheeks.Right[3]))
+        };
+
+        SIDES.forEach(side => {
+            const s = side === 'Left' ? -1 : 1;
+            const eye = eyes[side];
+            const outer = point(eye.outerCorner), inner = point(eye.innerCorner);
+            const eyeMid = { x: (outer.x + inner.x) / 2, y: (outer.y + inner.y) / 2 };
+            const eyeWidth = distance(outer, inner);
+            const corner = point(lips[side].corners[0]);
+            const k = sideIndex[side];
+
+            // Lid gap at the middle three margin points over the eye width
+            const eyeOpen = [2, 3, 4].reduce((sum, j) => sum + point(eye.upper[0][j]).y - point(eye.lower[0][j]).y, 0) / 3 / eyeWidth;
+            const hasIris = landmarkCount > Math.max(...eye.iris);
+            const iris = hasIris ? point(eye.iris[0]) : eyeMid;
+
+            m[side] = {
+                eyeOpen,
+                hasIris,
+                lowerLid: point(eye.lower[0][3]).y - eyeMid.y,
+                // Outward and upward iris offsets over the eye width
+                irisOut: s * (iris.x - eyeMid.x) / eyeWidth,
+                irisUp: (iris.y - eyeMid.y) / eyeWidth,
+                browInner: mean(brows[side].inner).y - eyeMid.y,
+                browOuter: mean(brows[side].outer).y - eyeMid.y,
+                cornerHeight: corner.y - cornerReference,
+                cornerSpread: s * corner.x,
+                cornerDepth: corner.z - lipCenter.z,
+                lipThickness: point(lips.upperOuter[k]).y - point(lips.lowerOuter[k]).y
+                    - (point(lips.upperInner[k]).y - point(lips.lowerInner[k]).y),
+                upperLipSide: subnasale.y - point(lips.upperOuter[k]).y,
+                lowerLipSide: point(lips.lowerOuter[k]).y - chinTip.y,
+                cheekToLid: point(eye.lower[0][3]).y - point(cheeks[side][0]).y,
+                wingToEye: inner.y - mean(nose[side].wing).y
+            };
+        });
+
+        return m;
+    }
+
+    coefficients(m) {
+        const n = this.neutral;
+        const c = {};
+
+        const jawOpen = ramp(m.chinDrop, n.chinDrop, n.chinDrop + 0.5);
+        const lipOpen = ramp(m.lipGap, n.lipGap, n.lipGap + 0.4);
+        const narrow = ramp(m.mouthWidth, n.mouthWidth, 0.7 * n.mouthWidth);
+
+        c.jawOpen = jawOpen;
+        c.jawLeft = ramp(m.chinShift, 0, -0.15);
+        c.jawRight = ramp(m.chinShift, 0, 0.15);
+        c.jawForward = ramp(m.chinDepth, n.chinDepth, n.chinDepth + 0.15);
+        // Lips held together while the jaw drops
+        c.mouthClose = Math.max(0, jawOpen - lipOpen);
+        c.mouthFunnel = narrow * lipOpen;
+        c.mouthPucker = narrow * (1 - lipOpen);
+        c.mouthLeft = ramp(m.mouthShift, 0, -0.15);
+        c.mouthRight = ramp(m.mouthShift, 0, 0.15);
+        c.mouthRollUpper = ramp(m.upperLip, n.upperLip, 0.3 * n.upperLip);
+        c.mouthRollLower = ramp(m.lowerLip, n.lowerLip, 0.3 * n.lowerLip);
+        c.mouthShrugUpper = ramp(m.noseToLip, n.noseToLip, 0.7 * n.noseToLip) * (1 - lipOpen);
+        c.mouthShrugLower = ramp(m.lowerLipRaise, n.lowerLipRaise, n.lowerLipRaise + 0.08) * (1 - lipOpen);
+        c.cheekPuff = ramp(m.cheekWidth, n.cheekWidth, 1.12 * n.cheekWidth);
+
+        const browInnerUp = [];
+        SIDES.forEach(side => {
+            const s = m[side];
+            c['eyeBlink' + side] = ramp(s.eyeOpen, n.eyeOpen, 0.15 * n.eyeOpen);
+            c['eyeWide' + side] = ramp(s.eyeOpen, n.eyeOpen, 1.4 * n.eyeOpen);
+            c['eyeSquint' + side] = ramp(s.lowerLid, n.lowerLid, n.lowerLid + 0.05);
+            c['eyeLookOut' + side] = ramp(s.irisOut, 0, 0.12);
+            c['eyeLookIn' + side] = ramp(s.irisOut, 0, -0.12);
+            c['eyeLookUp' + side] = ramp(s.irisUp, 0, 0.08);
+            c['eyeLookDown' + side] = ramp(s.irisUp, 0, -0.08);
+            c['browDown' + side] = ramp(s.browInner, n.browInner, n.browInner - 0.08);
+            c['browOuterUp' + side] = ramp(s.browOuter, n.browOuter, n.browOuter + 0.1);
+            browInnerUp.push(ramp(s.browInner, n.browInner, n.browInner + 0.1));
+
+            const smile = ramp(s.cornerHeight, n.cornerHeight, n.cornerHeight + 0.15);
+            c['mouthSmile' + side] = smile;
+            c['mouthFrown' + side] = ramp(s.cornerHeight, n.cornerHeight, n.cornerHeight - 0.1);
+            c['mouthStretch' + side] = ramp(s.cornerSpread, n.cornerSpread, n.cornerSpread + 0.12) * (1 - smile);
+            c['mouthDimple' + side] = ramp(s.cornerDepth, n.cornerDepth, n.cornerDepth - 0.08);
+            c['mouthPress' + side] = ramp(s.lipThickness, n.lipThickness, 0.5 * n.lipThickness) * (1 - lipOpen);
+            c['mouthUpperUp' + side] = ramp(s.upperLipSide, n.upperLipSide, 0.6 * n.upperLipSide);
+            c['mouthLowerDown' + side] = ramp(s.lowerLipSide, n.lowerLipSide, 0.85 * n.lowerLipSide);
+            c['cheekSquint' + side] = ramp(s.cheekToLid, n.cheekToLid, 0.8 * n.cheekToLid);
+            c['noseSneer' + side] = ramp(s.wingToEye, n.wingToEye, 0.85 * n.wingToEye);
+        });
+        c.browInnerUp = (browInnerUp[0] + browInnerUp[1]) / 2;
+
+        return c;
+    }
+}
+
+// 0 at `from`, 1 at `to` (either direction), clamped
+function ramp(value, from, to) {
+    return Math.min(1, Math.max(0, (value - from) / (to - from)));
+}
@@ -4,8 +4,22 @@ import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { FaceLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
 import { ARKitBlendshapeMapper } from './arkit-mapper.js';
+import { CalibrationProfile } from './calibration-profile.js';
+import { RetargetingProfile, RETARGETING_PROFILES } from './retargeting-profile.js';
+import { ARKIT_BLENDSHAPE_NAMES, BLENDSHAPE_PAIRS, getMirrorName } from './blendshape-registry.js';
 import { FaceMeshGenerator } from './face-mesh-generator.js';
-import { TextureMapper } from './texture-mapper.js';
+import { TextureMapper, TEXTURE_SIZES, REGION_MASK_COLORS } from './texture-mapper.js';
+import { DEFAULT_TEXTURE_FILTERS } from './texture-filters.js';
+import { GLTFRegionMasks } from './gltf-region-masks.js';
+import { GLTFSparseMorphTargets } from './gltf-sparse-morph-targets.js';
+import { GLBImageEncoder } from './glb-image-encoder.js';
+import { ExpressionRegistration } from './expression-registration.js';
+import { EyeGaze } from './eye-gaze.js';
+import { FrameData } from './frame-data.js';
+import { HeadFitter } from './head-fitter.js';
+import { HeadPose } from './head-pose.js';
+import { HeadStitcher } from './head-stitcher.js';
+import { HeadSkinMatcher } from './head-skin-matcher.js';
 import headModelUrl from '../head.glb?url';
 
 class FaceToBlendshape3D {
@@ -18,22 +32,30 @@ class FaceToBlendshape3D {
         this.faceMesh = null;
         this.headModel = null;
         this.blendshapes = {};
+        // Coefficients before calibration, what calibration captures record
+        this.rawBlendshapes = {};
+        // Photo's HeadPose (null without a transformation matrix) and per-eye gaze angles
+        this.headPose = null;
+        this.eyeGaze = null;
+        // Profile being edited and applied; an empty one leaves the coefficients as they are
+        this.calibration = new CalibrationProfile('My profile');
         this.currentImage = null;
         this.textureCanvas = null;
+        this.expressionExamples = [];
         
-        // Debug parameters
+        // Debug parameters; the head ones fine-tune the automatic fit
         this.debugParams = {
             head: {
-                scaleMultiplierX: 1.15,
-                scaleMultiplierY: 1.45,
-                scaleMultiplierZ: 1.45,
+                scaleMultiplierX: 1.0,
+                scaleMultiplierY: 1.0,
+                scaleMultiplierZ: 1.0,
                 posOffsetX: 0,
                 posOffsetY: 0,
                 posOffsetZ: 0,
                 rotationX: 0,
                 rotationY: 0,
                 rotationZ: 0,
-                pushBackFactor: 0.40
+                pushBackFactor: 0
             },
             face: {
                 scaleX: 1.0,
@@ -50,6 +72,56 @@ class FaceToBlendshape3D {
         
         this.faceData = null;
         
+        this.headFitter = new HeadFitter();
+        // Last HeadFitter result; it depends only on the face mesh's geometry and transform
+        this.headFit = null;
+        this.headStitcher = new HeadStitcher();
+        this.headSkinMatcher = new HeadSkinMatcher();
+        this.weldedGeometry = null;
+        this.weldTimer = null;
+        
+        this.modelOptions = {
+            neutralize: true,
+            // Face texture resolution in pixels, one of TEXTURE_SIZES
+            textureSize: 1024,
+            // Divide the photo's lighting out of the texture
+            delight: false,
+            interior: true,
+            // Normal and ambient occlusion maps baked for the face
+            bakeMaps: true,
+            // Inward fade of the face contour, as a share of the texture size (0 for a hard edge)
+            featherWidth: 0.03,
+            // Share of the landmark solver in the coefficients, 0 (MediaPipe) to 1 (solver only)
+            solverWeight: 0,
+            subdivisions: 0,
+            // Weld the face into the head model as one mesh instead of overlaying it
+            weld: true,
+            // 'model' fits head.glb behind the face, 'procedural' grows a skull from the face itself
+            headMode: 'model',
+            proceduralHead: { layers: 8, depth: 1.8, craniumLift: 0.05, chinTuck: 0.1 }
+        };
+        
+        // Texture enhancement, previewed live and saved in the export's extras
+        this.textureFilters = { ...DEFAULT_TEXTURE_FILTERS };
+        this.filterTimer = null;
+        
+        this.exportOptions = {
+            morphTolerance: 1e-4,
+            // 'preview' exports the level shown in the viewer
+            subdivisions: 'preview',
+            // Encoding of the embedded images; JPEG and WebP use imageQuality (0 to 1)
+            imageFormat: 'image/png',
+            imageQuality: 0.9,
+            // Blend the feathered face edge into the skin tone instead of exporting alpha
+            opaqueEdge: false,
+            // Embed the facial region masks as extra textures
+            regionMasks: false,
+            // Key in retargetingProfiles: the rig the morph names and values are exported for
+            retargeting: 'arkit'
+        };
+        // Built-in retargeting profiles, plus 'custom' once a JSON profile is loaded
+        this.retargetingProfiles = { ...RETARGETING_PROFILES };
+        
         this.init();
     }
     
@@ -57,6 +129,9 @@ class FaceToBlendshape3D {
         await this.initMediaPipe();
         this.initThreeJS();
         this.initEventListeners();
+        this.initExportOptions();
+        this.initTextureFilters();
+        this.initCalibration();
         this.initDebugControls();
         this.animate();
     }
@@ -76,6 +151,7 @@ class FaceToBlendshape3D {
                 runningMode: 'IMAGE',
                 numFaces: 1
             });
+            document.getElementById('addExpressionsBtn').disabled = false;
             this.showStatus('MediaPipe initialized successfully', 'success');
         } catch (error) {
             console.error('MediaPipe initialization error:', error);
@@ -137,6 +213,8 @@ class FaceToBlendshape3D {
                     child.receiveShadow = false;
                 }
             });
+            // UVs for the skin texture painted per photo
+            this.headSkinMatcher.unwrap(this.headStitcher.findHeadMesh(this.headModel).geometry);
             const box = new THREE.Box3().setFromObject(this.headModel);
             const center = box.getCenter(new THREE.Vector3());
             this.headModel.position.sub(center);
@@ -150,6 +228,158 @@ class FaceToBlendshape3D {
         window.addEventListener('resize', () => this.onResize());
     }
     
+    initExportOptions() {
+        document.getElementById('neutralizeCheckbox').addEventListener('change', (e) => {
+            this.modelOptions.neutralize = e.target.checked;
+        });
+        document.getElementById('textureSizeSelect').addEventListener('change', (e) => {
+            const size = parseInt(e.target.value, 10);
+            this.modelOptions.textureSize = TEXTURE_SIZES.includes(size) ? size : 1024;
+        });
+        document.getElementById('delightCheckbox').addEventListener('change', (e) => {
+            this.modelOptions.delight = e.target.checked;
+        });
+        document.getElementById('bakeMapsCheckbox').addEventListener('change', (e) => {
+            this.modelOptions.bakeMaps = e.target.checked;
+        });
+        const featherInput = document.getElementById('featherWidthInput');
+        featherInput.addEventListener('change', () => {
+            const value = parseFloat(featherInput.value);
+            if (Number.isFinite(value)) this.modelOptions.featherWidth = THREE.MathUtils.clamp(value, 0, 10) / 100;
+            featherInput.value = this.modelOptions.featherWidth * 100;
+        });
+        const solverInput = document.getElementById('solverWeightInput');
+        solverInput.addEventListener('change', () => {
+            const value = parseFloat(solverInput.value);
+            if (Number.isFinite(value)) this.modelOptions.solverWeight = THREE.MathUtils.clamp(value, 0, 100) / 100;
+            solverInput.value = this.modelOptions.solverWeight * 100;
+        });
+        document.getElementById('interiorCheckbox').addEventListener('change', (e) => {
+            this.modelOptions.interior = e.target.checked;
+        });
+        document.getElementById('subdivisionSelect').addEventListener('change', (e) => {
+            this.modelOptions.subdivisions = parseInt(e.target.value, 10) || 0;
+            // Subdivision only resamples the generated mesh, so no reprocessing is needed
+            if (this.meshGenerator && this.faceMesh) {
+                this.meshGenerator.setSubdivisionLevel(this.modelOptions.subdivisions);
+                this.updateWeld();
+            }
+        });
+        document.getElementById('weldCheckbox').addEventListener('change', (e) => {
+            this.modelOptions.weld = e.target.checked;
+            this.updateWeld();
+        });
+        document.getElementById('headModeSelect').addEventListener('change', (e) => {
+            this.modelOptions.headMode = e.target.value;
+            document.getElementById('proceduralHeadOptions').style.display = e.target.value === 'procedural' ? 'block' : 'none';
+            // The skull is part of the generated mesh, so switching rebuilds it
+            if (this.faceMesh) this.processImage();
+        });
+        [
+            ['skullLayersInput', 'layers', value => THREE.MathUtils.clamp(Math.round(value), 2, 32)],
+            ['skullDepthInput', 'depth', value => THREE.MathUtils.clamp(value, 0.2, 4)],
+            ['craniumLiftInput', 'craniumLift', value => THREE.MathUtils.clamp(value, 0, 0.3)],
+            ['chinTuckInput', 'chinTuck', value => THREE.MathUtils.clamp(value, 0, 0.3)]
+        ].forEach(([id, key, sanitize]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) this.modelOptions.proceduralHead[key] = sanitize(value);
+                input.value = this.modelOptions.proceduralHead[key];
+            });
+        });
+        
+        const toleranceInput = document.getElementById('morphToleranceInput');
+        toleranceInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            this.exportOptions.morphTolerance = Number.isFinite(value) && value >= 0 ? value : 1e-4;
+        });
+        
+        document.getElementById('exportSubdivisionSelect').addEventListener('change', (e) => {
+            this.exportOptions.subdivisions = e.target.value === 'preview' ? 'preview' : parseInt(e.target.value, 10) || 0;
+        });
+        
+        const qualityInput = document.getElementById('imageQualityInput');
+        document.getElementById('imageFormatSelect').addEventListener('change', (e) => {
+            this.exportOptions.imageFormat = e.target.value;
+            qualityInput.disabled = e.target.value === 'image/png';
+        });
+        document.getElementById('opaqueEdgeCheckbox').addEventListener('change', (e) => {
+            this.exportOptions.opaqueEdge = e.target.checked;
+        });
+        document.getElementById('regionMasksCheckbox').addEventListener('change', (e) => {
+            this.exportOptions.regionMasks = e.target.checked;
+        });
+        const retargetingSelect = document.getElementById('retargetingSelect');
+        retargetingSelect.addEventListener('change', () => {
+            this.exportOptions.retargeting = retargetingSelect.value;
+            if (this.faceMesh) this.displayBlendshapes();
+        });
+        const retargetingInput = document.getElementById('retargetingInput');
+        document.getElementById('loadRetargetingBtn').addEventListener('click', () => retargetingInput.click());
+        retargetingInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            retargetingInput.value = '';
+            if (!file) return;
+            try {
+                const profile = RetargetingProfile.fromJSON(JSON.parse(await file.text()));
+                this.retargetingProfiles.custom = profile;
+                let option = retargetingSelect.querySelector('option[value="custom"]');
+                if (!option) {
+                    option = document.createElement('option');
+                    option.value = 'custom';
+                    retargetingSelect.appendChild(option);
+                }
+                option.textContent = profile.name + ' (JSON)';
+                retargetingSelect.value = 'custom';
+                retargetingSelect.dispatchEvent(new Event('change'));
+                this.showStatus(`Retargeting profile "${profile.name}" loaded: ${profile.targetNames.length} targets`, 'success');
+            } catch (error) {
+                console.error('Retargeting import error:', error);
+                this.showStatus('Could not load retargeting profile: ' + error.message, 'error');
+            }
+        });
+        qualityInput.addEventListener('change', () => {
+            const value = parseFloat(qualityInput.value);
+            if (Number.isFinite(value)) this.exportOptions.imageQuality = THREE.MathUtils.clamp(value, 0.1, 1);
+            qualityInput.value = this.exportOptions.imageQuality;
+        });
+    }
+    
+    initTextureFilters() {
+        [
+            ['whiteBalance', 2],
+            ['exposure', 1],
+            ['denoise', 2],
+            ['sharpen', 2],
+            ['saturation', 2]
+        ].forEach(([key, decimals]) => {
+            const slider = document.getElementById(`${key}Slider`);
+            const value = document.getElementById(`${key}Value`);
+            slider.addEventListener('input', () => {
+                this.textureFilters[key] = parseFloat(slider.value);
+                value.textContent = this.textureFilters[key].toFixed(decimals);
+                this.scheduleTextureFilters();
+            });
+        });
+    }
+    
+    // Filtering a large texture takes a moment; run it once the slider settles
+    scheduleTextureFilters() {
+        clearTimeout(this.filterTimer);
+        this.filterTimer = setTimeout(() => this.applyTextureFilters(), 200);
+    }
+    
+    applyTextureFilters() {
+        if (!this.textureMapper || !this.meshGenerator) return;
+        this.textureMapper.setFilters(this.textureFilters, this.textureCanvas);
+        this.meshGenerator.material.map.needsUpdate = true;
+        this.faceMesh.userData.textureFilters = { ...this.textureFilters };
+        // The head skin is matched to the face texture, so it follows
+        this.headSkinMatcher.clearCache();
+        this.updateHeadSkin();
+    }
+    
     initDebugControls() {
         // Head controls
         const headSliders = {
@@ -229,10 +459,10 @@ class FaceToBlendshape3D {
         // Reset button
         document.getElementById('resetDebugBtn').addEventListener('click', () => {
             // Reset head
-            headSliders.scaleX.value = 1.15; headSliders.scaleY.value = 1.45; headSliders.scaleZ.value = 1.45;
+            headSliders.scaleX.value = 1.0; headSliders.scaleY.value = 1.0; headSliders.scaleZ.value = 1.0;
             headSliders.posX.value = 0; headSliders.posY.value = 0; headSliders.posZ.value = 0;
             headSliders.rotX.value = 0; headSliders.rotY.value = 0; headSliders.rotZ.value = 0;
-            headSliders.pushBack.value = 0.40;
+            headSliders.pushBack.value = 0;
             // Reset face
             faceSliders.scaleX.value = 1.0; faceSliders.scaleY.value = 1.0; faceSliders.scaleZ.value = 1.0;
             faceSliders.posX.value = 0; faceSliders.posY.value = 0; faceSliders.posZ.value = 0;
@@ -271,50 +501,137 @@ rotationZ: ${this.debugParams.face.rotationZ}`;
         });
     }
     
+    // Refits the head to the face, after the face mesh or its transform changed
+    fitHead() {
+        this.headFit = null;
+        this.updateHeadTransform();
+    }
+    
     updateHeadTransform() {
-        if (!this.headModel || !this.faceData) return;
-        
-        const { faceWidth, faceHeight, faceCenter } = this.faceData;
+        if (!this.usesHeadModel() || !this.faceData || !this.meshGenerator) return;
         
-        this.headModel.scale.set(1, 1, 1);
-        this.headModel.rotation.set(0, 0, 0);
-        this.headModel.position.set(0, 0, 0);
-        this.headModel.updateMatrixWorld(true);
+        const head = this.debugParams.head;
+        const headMesh = this.headStitcher.findHeadMesh(this.headModel);
+        // Fitting warps every head vertex, so the head sliders reuse the fit and only move the head
+        if (!this.headFit) this.headFit = this.headFitter.fit(this.headModel, headMesh, this.faceMesh, this.meshGenerator.geometry);
+        const fit = this.headFit;
         
-        const resetHeadBox = new THREE.Box3().setFromObject(this.headModel);
-        const headWidth = resetHeadBox.max.x - resetHeadBox.min.x;
-        const headHeight = resetHeadBox.max.y - resetHeadBox.min.y;
-        
-        const targetHeadWidth = faceWidth * this.debugParams.head.scaleMultiplierX;
-        const targetHeadHeight = faceHeight * this.debugParams.head.scaleMultiplierY;
-        
-        const scaleX = targetHeadWidth / headWidth;
-        const scaleY = targetHeadHeight / headHeight;
-        const scaleZ = Math.max(scaleX, scaleY) * (this.debugParams.head.scaleMultiplierZ / this.debugParams.head.scaleMultiplierY);
+        // The sliders fine-tune the fitted pose in the head's own frame
+        this.headModel.scale.set(
+            fit.scale * head.scaleMultiplierX,
+            fit.scale * head.scaleMultiplierY,
+            fit.scale * head.scaleMultiplierZ
+        );
+        this.headModel.quaternion.copy(fit.rotation).multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(
+            THREE.MathUtils.degToRad(head.rotationX),
+            THREE.MathUtils.degToRad(head.rotationY),
+            THREE.MathUtils.degToRad(head.rotationZ)
+        )));
         
-        this.headModel.scale.set(scaleX, scaleY, scaleZ);
+        headMesh.geometry.computeBoundingBox();
+        const headDepth = (headMesh.geometry.boundingBox.max.z - headMesh.geometry.boundingBox.min.z) * fit.scale;
+        const offset = new THREE.Vector3(head.posOffsetX, head.posOffsetY, head.posOffsetZ - headDepth * head.pushBackFactor);
+        this.headModel.position.copy(fit.translation).add(offset.applyQuaternion(fit.rotation));
         
-        // Apply rotation (degrees to radians)
-        this.headModel.rotation.set(
-            THREE.MathUtils.degToRad(this.debugParams.head.rotationX),
-            THREE.MathUtils.degToRad(this.debugParams.head.rotationY),
-            THREE.MathUtils.degToRad(this.debugParams.head.rotationZ)
-        );
+        this.updateDebugDisplay();
+        this.scheduleWeld();
+    }
+    
+    /**
+     * Rebuilds the face mesh geometry: the face alone, or welded into the head model.
+     * The weld is computed from the current head and face transforms.
+     */
+    updateWeld() {
+        clearTimeout(this.weldTimer);
+        if (!this.faceMesh || !this.meshGenerator) return;
         
-        this.headModel.updateMatrixWorld(true);
+        const faceGeometry = this.meshGenerator.getFaceGeometry();
+        const welded = this.weldFace(faceGeometry);
+        if (this.weldedGeometry) this.weldedGeometry.dispose();
+        this.weldedGeometry = welded;
+        this.setFaceGeometry(this.faceMesh, faceGeometry, welded);
         
-        const scaledHeadBox = new THREE.Box3().setFromObject(this.headModel);
-        const scaledHeadCenter = scaledHeadBox.getCenter(new THREE.Vector3());
-        const scaledHeadDepth = scaledHeadBox.max.z - scaledHeadBox.min.z;
+        // The welded mesh contains the head, so the separate model would only overlap it
+        if (this.headModel) this.headModel.visible = this.usesHeadModel() && !welded;
+    }
+    
+    // Slider drags fire continuously; repaint the head skin and weld once they settle
+    scheduleWeld() {
+        clearTimeout(this.weldTimer);
+        if (!this.faceMesh) return;
+        this.weldTimer = setTimeout(() => {
+            this.updateHeadSkin();
+            if (this.modelOptions.weld) this.updateWeld();
+        }, 150);
+    }
+    
+    /**
+     * Paints the head model's texture: generated skin matched to the photo's, with the
+     * photo projected onto the forehead, temples and ears for the current placement.
+     */
+    updateHeadSkin() {
+        if (!this.usesHeadModel() || !this.faceData || !this.meshGenerator) return;
+        const headMesh = this.headStitcher.findHeadMesh(this.headModel);
+        const canvas = this.headSkinMatcher.paint({
+            headMesh,
+            faceMesh: this.faceMesh,
+            image: this.faceData.image,
+            landmarks: this.faceData.landmarks,
+            faceTexture: this.textureCanvas,
+            toImage: point => this.meshGenerator.toImageSpace(point)
+        });
         
-        const offsetX = faceCenter.x - scaledHeadCenter.x + this.debugParams.head.posOffsetX;
-        const offsetY = faceCenter.y - scaledHeadCenter.y + this.debugParams.head.posOffsetY;
-        let targetZ = faceCenter.z - scaledHeadCenter.z;
-        const pushBack = scaledHeadDepth * this.debugParams.head.pushBackFactor;
-        const offsetZ = targetZ - pushBack + this.debugParams.head.posOffsetZ;
+        const material = headMesh.material;
+        if (material.map) material.map.dispose();
+        material.map = new THREE.CanvasTexture(canvas);
+        material.map.colorSpace = THREE.SRGBColorSpace;
+        // Shade like the face material, so nothing but geometry changes across the seam
+        material.color.setRGB(1, 1, 1);
+        material.emissive.setHex(0x222222);
+        material.emissiveIntensity = 0.2;
+        material.roughness = 0.5;
+        material.needsUpdate = true;
+    }
+    
+    // Returns null when welding is off or the meshes can't be stitched
+    weldFace(faceGeometry) {
+        if (!this.modelOptions.weld || !this.usesHeadModel()) return null;
+        return this.headStitcher.stitch(faceGeometry, this.faceMesh, this.headModel);
+    }
+    
+    // `level` is the subdivision level of faceGeometry, by default the displayed one
+    setFaceGeometry(mesh, faceGeometry, welded, level) {
+        mesh.geometry = welded || faceGeometry;
+        // Welded geometry has two groups: the textured face and the head, which the face runs into without fading
+        mesh.material = welded
+            ? [this.meshGenerator.getFaceMaterial(level, true), this.headStitcher.findHeadMesh(this.headModel).material]
+            : this.meshGenerator.getMeshMaterial(level);
+    }
+    
+    /**
+     * glTF has no separate alpha map: a feathered face material is exported with the mask
+     * in its texture's alpha, or with the edge blended into the skin when opaqueEdge is set.
+     * Returns the replacement material, or null when the material has no feathered edge.
+     */
+    createExportFaceMaterial(material) {
+        if (!material.alphaMap || !this.textureMapper) return null;
+        const canvas = this.exportOptions.opaqueEdge
+            ? this.textureMapper.bakeAlphaMask(this.textureCanvas)
+            : this.textureMapper.applyAlphaMask(this.textureCanvas);
         
-        this.headModel.position.set(offsetX, offsetY, offsetZ);
-        this.updateDebugDisplay();
+        const exported = material.clone();
+        exported.map = new THREE.CanvasTexture(canvas);
+        exported.map.colorSpace = material.map.colorSpace;
+        exported.alphaMap = null;
+        if (this.exportOptions.opaqueEdge) {
+            exported.transparent = false;
+            exported.alphaTest = 0;
+        }
+        return exported;
+    }
+    
+    usesHeadModel() {
+        return this.modelOptions.headMode === 'model' && !!this.headModel;
     }
     
     updateFaceTransform() {
@@ -341,18 +658,8 @@ rotationZ: ${this.debugParams.face.rotationZ}`;
             originalPosition.z + this.debugParams.face.posOffsetZ
         );
         
-        // Recalculate face data after transform
-        this.faceMesh.geometry.computeBoundingBox();
-        const faceBox = new THREE.Box3().setFromObject(this.faceMesh);
-        const faceWidth = faceBox.max.x - faceBox.min.x;
-        const faceHeight = faceBox.max.y - faceBox.min.y;
-        const faceCenter = faceBox.getCenter(new THREE.Vector3());
-        
-        this.faceData.faceWidth = faceWidth;
-        this.faceData.faceHeight = faceHeight;
-        this.faceData.faceCenter = faceCenter;
-        
-        this.updateHeadTransform();
+        // The head follows the face's landmarks wherever the face is moved
+        this.fitHead();
         this.updateDebugDisplay();
     }
     
@@ -403,6 +710,21 @@ FACE:
         fileInput.addEventListener('change', (e) => { const file = e.target.files[0]; if (file) this.loadImage(file); });
         processBtn.addEventListener('click', () => this.processImage());
         exportBtn.addEventListener('click', () => this.exportGLB());
+        document.getElementById('exportJsonBtn').addEventListener('click', () => {
+            const json = JSON.stringify(this.createFrameData().toJSON(), null, 2);
+            this.saveArrayBuffer(new TextEncoder().encode(json), 'face-frame.json');
+        });
+        document.getElementById('exportCsvBtn').addEventListener('click', () => {
+            this.saveArrayBuffer(new TextEncoder().encode(this.createFrameData().toCSV()), 'face-frame.csv');
+        });
+        document.getElementById('regionMasksBtn').addEventListener('click', () => this.downloadRegionMasks());
+        
+        const expressionInput = document.getElementById('expressionInput');
+        document.getElementById('addExpressionsBtn').addEventListener('click', () => expressionInput.click());
+        expressionInput.addEventListener('change', async (e) => {
+            await this.loadExpressionImages(Array.from(e.target.files));
+            expressionInput.value = '';
+        });
     }
     
     loadImage(file) {
@@ -414,6 +736,9 @@ FACE:
             const img = new Image();
             img.onload = () => {
                 this.currentImage = img;
+                // Calibration captures record processed scores, which are the previous photo's until this one is processed
+                this.rawBlendshapes = {};
+                document.getElementById('captureCalibrationBtn').disabled = true;
                 document.getElementById('processBtn').disabled = false;
                 this.showStatus('Image loaded. Ready to process.', 'success');
             };
@@ -422,6 +747,265 @@ FACE:
         reader.readAsDataURL(file);
     }
     
+    readImageFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Could not read ' + file.name));
+                img.src = e.target.result;
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+    
+    async loadExpressionImages(files) {
+        if (!this.faceLandmarker) return;
+        const images = files.filter(file => file.type.startsWith('image/'));
+        let skipped = 0;
+        
+        for (const file of images) {
+            try {
+                const img = await this.readImageFile(file);
+                const results = this.faceLandmarker.detect(img);
+                if (!results.faceLandmarks || results.faceLandmarks.length === 0) {
+                    skipped++;
+                    continue;
+                }
+                const categories = results.faceBlendshapes?.[0]?.categories || [];
+                this.expressionExamples.push({
+                    image: img,
+                    landmarks: results.faceLandmarks[0],
+                    matrix: results.facialTransformationMatrixes?.[0],
+                    target: this.suggestExpressionTarget(categories)
+                });
+            } catch (error) {
+                console.error('Expression photo error:', error);
+                skipped++;
+            }
+        }
+        
+        this.renderExpressionList();
+        if (skipped > 0) this.showStatus(`${skipped} expression photo(s) skipped: no face detected`, 'error');
+        else if (images.length > 0) this.showStatus('Expression photos added. Check their targets, then process.', 'success');
+    }
+    
+    // Strongest detected coefficient; symmetric expressions map to the left/right pair
+    suggestExpressionTarget(categories) {
+        const scores = {};
+        categories.forEach(c => { scores[c.categoryName] = c.score; });
+        const strongest = ARKIT_BLENDSHAPE_NAMES.reduce((best, name) =>
+            (scores[name] || 0) > (scores[best] || 0) ? name : best, ARKIT_BLENDSHAPE_NAMES[0]);
+        
+        const mirror = getMirrorName(strongest);
+        if (mirror !== strongest && (scores[mirror] || 0) >= 0.7 * (scores[strongest] || 0)) {
+            return strongest.replace(/(Left|Right)$/, '');
+        }
+        return strongest;
+    }
+    
+    // Morph targets an expression can stand for: Left/Right pair stems, then every ARKit name
+    expressionTargetOptions() {
+        const pairStems = BLENDSHAPE_PAIRS.map(([left]) => left.replace(/Left$/, ''));
+        return [
+            ...pairStems.map(stem => ({ value: stem, label: `${stem} (Left + Right)` })),
+            ...ARKIT_BLENDSHAPE_NAMES.map(name => ({ value: name, label: name }))
+        ];
+    }
+    
+    renderExpressionList() {
+        const list = document.getElementById('expressionList');
+        list.innerHTML = '';
+        const options = this.expressionTargetOptions();
+        
+        this.expressionExamples.forEach((example, index) => {
+            const item = document.createElement('div');
+            item.className = 'expression-item';
+            
+            const thumbnail = document.createElement('img');
+            thumbnail.src = example.image.src;
+            thumbnail.alt = 'Expression ' + (index + 1);
+            
+            const select = document.createElement('select');
+            options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = value === example.target;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', (e) => { example.target = e.target.value; });
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                this.expressionExamples.splice(this.expressionExamples.indexOf(example), 1);
+                this.renderExpressionList();
+            });
+            
+            item.append(thumbnail, select, removeBtn);
+            list.appendChild(item);
+        });
+    }
+    
+    // Registers every expression photo onto the neutral reference photo
+    registerExpressionExamples(landmarks, transformMatrix) {
+        const registration = new ExpressionRegistration();
+        const reference = {
+            landmarks,
+            matrix: transformMatrix,
+            aspect: this.currentImage.width / this.currentImage.height
+        };
+        
+        return this.expressionExamples.map(example => ({
+            target: example.target,
+            landmarks: registration.register(reference, {
+                landmarks: example.landmarks,
+                matrix: example.matrix,
+                aspect: example.image.width / example.image.height
+            })
+        }));
+    }
+    
+    initCalibration() {
+        const profileSelect = document.getElementById('calibrationProfileSelect');
+        const nameInput = document.getElementById('calibrationNameInput');
+        const poseSelect = document.getElementById('calibrationPoseSelect');
+        const calibrationInput = document.getElementById('calibrationInput');
+        
+        this.expressionTargetOptions().forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            poseSelect.appendChild(option);
+        });
+        
+        profileSelect.addEventListener('change', () => {
+            const saved = this.readSavedCalibrations()[profileSelect.value];
+            this.setCalibration(saved ? CalibrationProfile.fromJSON(saved) : new CalibrationProfile(nameInput.value.trim() || 'My profile'));
+        });
+        nameInput.addEventListener('change', () => {
+            this.calibration.name = nameInput.value.trim() || 'My profile';
+            nameInput.value = this.calibration.name;
+        });
+        document.getElementById('captureCalibrationBtn').addEventListener('click', () => this.captureCalibrationPose());
+        document.getElementById('saveCalibrationBtn').addEventListener('click', () => this.saveCalibration());
+        document.getElementById('exportCalibrationBtn').addEventListener('click', () => {
+            const json = JSON.stringify(this.calibration.toJSON(), null, 2);
+            const filename = this.calibration.name.replace(/[^\w-]+/g, '-') + '.calibration.json';
+            this.saveArrayBuffer(new TextEncoder().encode(json), filename);
+        });
+        document.getElementById('importCalibrationBtn').addEventListener('click', () => calibrationInput.click());
+        calibrationInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            calibrationInput.value = '';
+            if (!file) return;
+            try {
+                this.setCalibration(CalibrationProfile.fromJSON(JSON.parse(await file.text())));
+                this.saveCalibration();
+            } catch (error) {
+                console.error('Calibration import error:', error);
+                this.showStatus('Could not import calibration profile: ' + error.message, 'error');
+            }
+        });
+        document.getElementById('deleteCalibrationBtn').addEventListener('click', () => {
+            const profiles = this.readSavedCalibrations();
+            delete profiles[this.calibration.name];
+            this.writeSavedCalibrations(profiles);
+            this.setCalibration(new CalibrationProfile('My profile'));
+        });
+        
+        this.renderCalibrationProfiles();
+    }
+    
+    // Makes a profile the active one and remaps the processed photo's coefficients through it
+    setCalibration(profile) {
+        this.calibration = profile;
+        document.getElementById('calibrationNameInput').value = profile.name;
+        this.renderCalibrationProfiles();
+        this.applyCalibration();
+    }
+    
+    /**
+     * Recalibrates the processed photo's raw coefficients into the mesh's influences.
+     * Calibration changes no geometry or texture, so nothing else is rebuilt.
+     */
+    applyCalibration() {
+        if (!this.faceMesh || !this.meshGenerator || Object.keys(this.rawBlendshapes).length === 0) return;
+        this.blendshapes = this.calibration.apply(this.rawBlendshapes);
+        this.meshGenerator.applyBlendshapes(this.faceMesh, this.blendshapes);
+        if (this.calibration.isEmpty) delete this.faceMesh.userData.calibration;
+        else this.faceMesh.userData.calibration = this.calibration.name;
+        // Gaze reads the eyeLook* coefficients, so it follows the calibration too
+        const { landmarks, pose, aspect } = this.faceData;
+        this.eyeGaze = new EyeGaze().estimate(pose.frontalize(landmarks), this.blendshapes, aspect);
+        this.faceMesh.userData.eyeGaze = this.eyeGaze;
+        this.displayBlendshapes();
+    }
+    
+    captureCalibrationPose() {
+        if (Object.keys(this.rawBlendshapes).length === 0) return;
+        const pose = document.getElementById('calibrationPoseSelect').value;
+        const strengthInput = document.getElementById('calibrationStrengthInput');
+        const strength = THREE.MathUtils.clamp(parseFloat(strengthInput.value) || 100, 10, 100);
+        strengthInput.value = strength;
+        this.calibration.addCapture(pose, this.rawBlendshapes, strength / 100);
+        this.renderCalibrationProfiles();
+        // The processed photo itself is now remapped by the updated profile
+        this.applyCalibration();
+    }
+    
+    saveCalibration() {
+        const profiles = this.readSavedCalibrations();
+        profiles[this.calibration.name] = this.calibration.toJSON();
+        if (this.writeSavedCalibrations(profiles)) {
+            this.renderCalibrationProfiles();
+            this.showStatus(`Calibration profile "${this.calibration.name}" saved`, 'success');
+        }
+    }
+    
+    renderCalibrationProfiles() {
+        const select = document.getElementById('calibrationProfileSelect');
+        const profiles = this.readSavedCalibrations();
+        select.innerHTML = '<option value="">None</option>';
+        Object.keys(profiles).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        // Unsaved profiles show as None until saved
+        select.value = profiles[this.calibration.name] ? this.calibration.name : '';
+        
+        const { captures } = this.calibration;
+        const poses = captures.map(({ pose, strength }) => (strength < 1 ? `${pose} ${Math.round(strength * 100)}%` : pose));
+        document.getElementById('calibrationCaptures').textContent = captures.length > 0
+            ? `${captures.length} pose(s) captured: ${poses.join(', ')}`
+            : this.calibration.isEmpty ? 'No poses captured' : 'Coefficient ranges imported without poses';
+    }
+    
+    // Saved profiles by name, as stored in this browser
+    readSavedCalibrations() {
+        try {
+            return JSON.parse(localStorage.getItem('calibrationProfiles')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    writeSavedCalibrations(profiles) {
+        try {
+            localStorage.setItem('calibrationProfiles', JSON.stringify(profiles));
+            return true;
+        } catch (error) {
+            console.error('Calibration storage error:', error);
+            this.showStatus('Could not save calibration profiles in this browser', 'error');
+            return false;
+        }
+    }
+    
     async processImage() {
         if (!this.currentImage || !this.faceLandmarker) return;
         try {
@@ -433,53 +1017,76 @@ FACE:
             const landmarks = results.faceLandmarks[0];
             const blendshapes = results.faceBlendshapes?.[0]?.categories || [];
             const transformMatrix = results.facialTransformationMatrixes?.[0];
-            const mapper = new ARKitBlendshapeMapper();
-            this.blendshapes = mapper.mapMediaPipeToARKit(blendshapes, landmarks);
+            const aspect = this.currentImage.width / this.currentImage.height;
+            // Blendshapes and morph targets are measured with the head pose removed
+            const pose = new HeadPose(transformMatrix, { aspect, landmarks });
+            const mapper = new ARKitBlendshapeMapper({
+                solverWeight: this.modelOptions.solverWeight,
+                calibration: this.calibration.isEmpty ? null : this.calibration
+            });
+            this.rawBlendshapes = mapper.mixScores(blendshapes, landmarks, aspect, pose);
+            this.blendshapes = mapper.calibrate(this.rawBlendshapes);
+            this.headPose = transformMatrix ? pose : null;
+            this.eyeGaze = new EyeGaze().estimate(pose.frontalize(landmarks), this.blendshapes, aspect);
             this.showStatus('Generating face texture...', 'loading');
-            const textureMapper = new TextureMapper();
+            const textureMapper = new TextureMapper({
+                textureSize: this.modelOptions.textureSize,
+                delight: this.modelOptions.delight,
+                featherWidth: this.modelOptions.featherWidth,
+                filters: this.textureFilters
+            });
             this.textureCanvas = textureMapper.createFaceTexture(this.currentImage, landmarks);
+            // Kept for the export, which needs the feathered edge in the texture itself
+            this.textureMapper = textureMapper;
             this.showStatus('Generating 3D model with morph targets...', 'loading');
-            const meshGenerator = new FaceMeshGenerator();
-            this.faceMesh = meshGenerator.generateWithMorphTargets(landmarks, this.blendshapes, transformMatrix, this.textureCanvas);
+            const meshGenerator = new FaceMeshGenerator({
+                morphTolerance: this.exportOptions.morphTolerance,
+                neutralize: this.modelOptions.neutralize,
+                interior: this.modelOptions.interior,
+                photo: this.currentImage,
+                bakeMaps: this.modelOptions.bakeMaps,
+                alphaMask: textureMapper.alphaMask,
+                subdivisions: this.modelOptions.subdivisions,
+                headMode: this.modelOptions.headMode,
+                headOptions: this.modelOptions.proceduralHead
+            });
+            const examples = this.registerExpressionExamples(landmarks, transformMatrix);
+            this.faceMesh = meshGenerator.generateWithMorphTargets(landmarks, this.blendshapes, transformMatrix, this.textureCanvas, { examples, pose });
+            // Exported as extras, so the original lighting can be reapplied or matched
+            if (textureMapper.lighting) this.faceMesh.userData.lighting = textureMapper.lighting;
+            this.faceMesh.userData.textureFilters = { ...this.textureFilters };
+            if (!this.calibration.isEmpty) this.faceMesh.userData.calibration = this.calibration.name;
+            if (this.headPose) this.faceMesh.userData.headPose = this.headPose.toJSON();
+            this.faceMesh.userData.eyeGaze = this.eyeGaze;
             const oldMesh = this.scene.getObjectByName('faceMesh');
             if (oldMesh) this.scene.remove(oldMesh);
+            if (this.meshGenerator) this.meshGenerator.dispose();
+            this.meshGenerator = meshGenerator;
             this.faceMesh.name = 'faceMesh';
             this.scene.add(this.faceMesh);
             
-            if (this.headModel) {
+            // The photo and its landmarks repaint the head skin whenever the head moves; the pose re-reads the gaze on recalibration
+            this.faceData = { originalPosition: this.faceMesh.position.clone(), image: this.currentImage, landmarks, pose, aspect };
+            
+            if (this.headModel) this.headModel.visible = false;
+            if (this.usesHeadModel()) {
                 this.headModel.visible = true;
-                this.faceMesh.geometry.computeBoundingBox();
-                const faceBox = this.faceMesh.geometry.boundingBox;
-                const faceWidth = faceBox.max.x - faceBox.min.x;
-                const faceHeight = faceBox.max.y - faceBox.min.y;
-                const faceCenter = faceBox.getCenter(new THREE.Vector3());
-                const originalPosition = this.faceMesh.position.clone();
-                
-                const headBox = new THREE.Box3().setFromObject(this.headModel);
-                
-                this.faceData = { faceWidth, faceHeight, faceCenter, headBox, originalPosition };
-                
-                const skinColor = this.faceMesh.userData.skinColor;
-                if (skinColor) {
-                    this.headModel.traverse((child) => {
-                        if (child.isMesh) {
-                            const r = Math.max(skinColor.r * 1.2, 0.5);
-                            const g = Math.max(skinColor.g * 1.2, 0.4);
-                            const b = Math.max(skinColor.b * 1.2, 0.3);
-                            child.material.color.setRGB(r, g, b);
-                            child.material.emissive.setRGB(r * 0.3, g * 0.3, b * 0.3);
-                            child.material.needsUpdate = true;
-                        }
-                    });
-                }
-                
-                this.updateHeadTransform();
+                this.fitHead();
+                this.showStatus('Matching head skin...', 'loading');
+                // The head takes the face's texture size, up to 2K
+                this.headSkinMatcher = new HeadSkinMatcher({ textureSize: Math.min(this.modelOptions.textureSize, 2048) });
+                this.updateHeadSkin();
                 this.faceMesh.renderOrder = 2;
                 this.headModel.renderOrder = 1;
+                this.updateWeld();
             }
             
             this.displayBlendshapes();
             document.getElementById('exportBtn').disabled = false;
+            document.getElementById('regionMasksBtn').disabled = false;
+            document.getElementById('exportJsonBtn').disabled = false;
+            document.getElementById('exportCsvBtn').disabled = false;
+            document.getElementById('captureCalibrationBtn').disabled = false;
             this.showStatus('3D model with texture and morph targets generated!', 'success');
         } catch (error) {
             console.error('Processing error:', error);
@@ -490,11 +1097,31 @@ FACE:
         }
     }
     
+    // Coefficients under the names and values the export will carry, read back from the mesh
+    getExportedBlendshapes() {
+        const { morphTargetDictionary, morphTargetInfluences } = this.faceMesh;
+        const values = {};
+        ARKIT_BLENDSHAPE_NAMES
+            .filter(name => morphTargetDictionary[name] !== undefined)
+            .forEach(name => { values[name] = morphTargetInfluences[morphTargetDictionary[name]]; });
+        const retargeting = this.retargetingProfiles[this.exportOptions.retargeting];
+        return retargeting.isIdentity ? values : retargeting.mapValues(values);
+    }
+    
+    createFrameData() {
+        return new FrameData({
+            blendshapes: this.getExportedBlendshapes(),
+            headPose: this.headPose ? this.headPose.toJSON() : null,
+            eyeGaze: this.eyeGaze,
+            rig: this.retargetingProfiles[this.exportOptions.retargeting].name
+        });
+    }
+    
     displayBlendshapes() {
         const panel = document.getElementById('blendshapesPanel');
         const list = document.getElementById('blendshapesList');
         list.innerHTML = '';
-        Object.entries(this.blendshapes)
+        Object.entries(this.getExportedBlendshapes())
             .filter(([name, value]) => value > 0.01)
             .sort((a, b) => b[1] - a[1])
             .forEach(([name, value]) => {
@@ -503,23 +1130,89 @@ FACE:
                 item.innerHTML = `<span class="blendshape-name">${name}</span><span class="blendshape-value">${(value * 100).toFixed(1)}%</span>`;
                 list.appendChild(item);
             });
+        this.displayPoseOutputs();
         panel.style.display = 'block';
     }
     
+    // Head angles and translation, then each eye's gaze, next to the coefficients
+    displayPoseOutputs() {
+        const list = document.getElementById('poseOutputList');
+        list.innerHTML = '';
+        const rows = [];
+        if (this.headPose) {
+            const { yaw, pitch, roll } = this.headPose.getAngles();
+            const { x, y, z } = this.headPose.translation;
+            rows.push(['Head yaw / pitch / roll', `${yaw.toFixed(1)}° / ${pitch.toFixed(1)}° / ${roll.toFixed(1)}°`]);
+            rows.push(['Head position (cm)', `${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)}`]);
+        }
+        Object.entries(this.eyeGaze || {}).forEach(([side, { yaw, pitch }]) => {
+            rows.push([`Eye ${side} yaw / pitch`, `${yaw.toFixed(1)}° / ${pitch.toFixed(1)}°`]);
+        });
+        rows.forEach(([name, value]) => {
+            const item = document.createElement('div');
+            item.className = 'blendshape-item';
+            item.innerHTML = `<span class="blendshape-name">${name}</span><span class="blendshape-value">${value}</span>`;
+            list.appendChild(item);
+        });
+    }
+    
     async exportGLB() {
         if (!this.faceMesh) return;
         try {
             document.getElementById('exportBtn').disabled = true;
             this.showStatus('Exporting GLB with texture and morph targets...', 'loading');
             const exporter = new GLTFExporter();
-            const options = { binary: true, maxTextureSize: 2048, embedImages: true, truncateDrawRange: false };
+            const { morphTolerance } = this.exportOptions;
+            exporter.register((writer) => new GLTFSparseMorphTargets(writer, { tolerance: morphTolerance }));
+            // Never let the exporter shrink the texture generated at the chosen size
+            const maxTextureSize = this.textureCanvas ? this.textureCanvas.width : this.modelOptions.textureSize;
+            const options = { binary: true, maxTextureSize, embedImages: true, truncateDrawRange: false };
             const exportGroup = new THREE.Group();
-            exportGroup.add(this.faceMesh.clone());
+            const exportFace = this.faceMesh.clone();
+            const { subdivisions } = this.exportOptions;
+            let exportWeld = null;
+            if (subdivisions !== 'preview' && this.meshGenerator) {
+                const faceGeometry = this.meshGenerator.getSubdividedGeometry(subdivisions);
+                exportWeld = this.weldedGeometry ? this.weldFace(faceGeometry) : null;
+                this.setFaceGeometry(exportFace, faceGeometry, exportWeld, subdivisions);
+            }
+            const exportMaterial = Array.isArray(exportFace.material)
+                ? null
+                : this.createExportFaceMaterial(exportFace.material);
+            if (exportMaterial) exportFace.material = exportMaterial;
+            const missingTargets = ARKIT_BLENDSHAPE_NAMES.filter(name => exportFace.morphTargetDictionary?.[name] === undefined);
+            if (missingTargets.length > 0) throw new Error('Face mesh is missing morph targets: ' + missingTargets.join(', '));
+            // Other rigs get the profile's targets, built from the complete ARKit set checked above
+            const retargeting = this.retargetingProfiles[this.exportOptions.retargeting];
+            const retargetedGeometries = retargeting.isIdentity ? [] : retargeting.retargetMesh(exportFace);
+            if (!retargeting.isIdentity) exportFace.userData.retargeting = retargeting.name;
+            if (this.exportOptions.regionMasks && this.textureMapper) {
+                const masks = this.textureMapper.createRegionMasks();
+                const idMap = this.textureMapper.createRegionIdMap(masks);
+                exporter.register((writer) => new GLTFRegionMasks(writer, { object: exportFace, masks, idMap, colors: REGION_MASK_COLORS }));
+            }
+            exportGroup.add(exportFace);
             if (this.headModel && this.headModel.visible) exportGroup.add(this.headModel.clone());
-            exporter.parse(exportGroup, (result) => {
+            const encoder = new GLBImageEncoder({
+                mimeType: this.exportOptions.imageFormat,
+                quality: this.exportOptions.imageQuality
+            });
+            exporter.parse(exportGroup, async (result) => {
+                if (exportWeld) exportWeld.dispose();
+                retargetedGeometries.forEach(geometry => geometry.dispose());
+                if (exportMaterial) {
+                    exportMaterial.map.dispose();
+                    exportMaterial.dispose();
+                }
                 if (result instanceof ArrayBuffer) {
-                    this.saveArrayBuffer(result, 'face-model-blendshapes.glb');
-                    this.showStatus('GLB model exported successfully!', 'success');
+                    try {
+                        const glb = await encoder.encode(result);
+                        this.saveArrayBuffer(glb, 'face-model-blendshapes.glb');
+                        this.showStatus('GLB model exported successfully!', 'success');
+                    } catch (error) {
+                        console.error('Export error:', error);
+                        this.showStatus('Export failed: ' + error.message, 'error');
+                    }
                 }
             }, (error) => {
                 console.error('Export error:', error);
@@ -533,6 +1226,20 @@ FACE:
         }
     }
     
+    async downloadRegionMasks() {
+        if (!this.textureMapper) return;
+        const masks = this.textureMapper.createRegionMasks();
+        await this.saveCanvas(this.textureMapper.createRegionIdMap(masks), 'face-region-ids.png');
+        for (const [name, canvas] of Object.entries(masks)) {
+            await this.saveCanvas(canvas, `face-region-${name}.png`);
+        }
+    }
+    
+    async saveCanvas(canvas, filename) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        this.saveArrayBuffer(await blob.arrayBuffer(), filename);
+    }
+    
     saveArrayBuffer(buffer, filename) {
         const blob = new Blob([buffer], { type: 'application/octet-stream' });
         const url = URL.createObjectURL(blob);
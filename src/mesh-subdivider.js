@@ -0,0 +1,165 @@
+/**
+ * Mesh Subdivider
+ * Loop subdivision for indexed triangle meshes. Every attribute and morph target
+ * is resampled with the same stencils, so texture coordinates and blendshapes stay
+ * consistent with the smoothed surface. Original vertices keep their indices
+ * (landmark i is still vertex i) and the new edge vertices are appended after them.
+ */
+
+import * as THREE from 'three';
+
+export const MAX_SUBDIVISION_LEVEL = 3;
+
+export class MeshSubdivider {
+    /**
+     * Returns a new geometry subdivided `levels` times (0 returns a clone).
+     * Normals are recomputed rather than interpolated.
+     */
+    subdivide(geometry, levels) {
+        let result = geometry.clone();
+        const count = THREE.MathUtils.clamp(Math.round(levels) || 0, 0, MAX_SUBDIVISION_LEVEL);
+
+        for (let level = 0; level < count; level++) {
+            const next = this.subdivideOnce(result);
+            result.dispose();
+            result = next;
+        }
+
+        if (count > 0) result.computeVertexNormals();
+        return result;
+    }
+
+    subdivideOnce(geometry) {
+        const index = geometry.index.array;
+        const vertexCount = geometry.attributes.position.count;
+        const { stencils, edgeIds } = this.buildStencils(index, vertexCount);
+
+        const output = new THREE.BufferGeometry();
+
+        Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+            if (name === 'normal') return;
+            output.setAttribute(name, this.applyStencils(attribute, stencils));
+        });
+
+        Object.entries(geometry.morphAttributes).forEach(([name, attributes]) => {
+            if (name === 'normal') return;
+            output.morphAttributes[name] = attributes.map(attribute => this.applyStencils(attribute, stencils));
+        });
+        output.morphTargetsRelative = geometry.morphTargetsRelative;
+
+        // Each triangle becomes four, in place, so group ranges simply scale by four
+        const indices = new Uint32Array(index.length * 4);
+        for (let t = 0; t < index.length; t += 3) {
+            const a = index[t], b = index[t + 1], c = index[t + 2];
+            const ab = edgeIds.get(edgeKey(a, b, vertexCount));
+            const bc = edgeIds.get(edgeKey(b, c, vertexCount));
+            const ca = edgeIds.get(edgeKey(c, a, vertexCount));
+            indices.set([a, ab, ca, ab, b, bc, ca, bc, c, ab, bc, ca], t * 4);
+        }
+        output.setIndex(new THREE.BufferAttribute(indices, 1));
+        geometry.groups.forEach(group => output.addGroup(group.start * 4, group.count * 4, group.materialIndex));
+
+        output.name = geometry.name;
+        output.userData = { ...geometry.userData };
+        return output;
+    }
+
+    /**
+     * Loop stencils as flat arrays: output vertex i is the sum of
+     * weights[k] * input[sources[k]] for k in [starts[i], starts[i + 1]).
+     */
+    buildStencils(index, vertexCount) {
+        const edges = new Map();
+        const neighbors = Array.from({ length: vertexCount }, () => new Set());
+
+        for (let t = 0; t < index.length; t += 3) {
+            for (let e = 0; e < 3; e++) {
+                const a = index[t + e], b = index[t + (e + 1) % 3], c = index[t + (e + 2) % 3];
+                const key = edgeKey(a, b, vertexCount);
+                if (!edges.has(key)) edges.set(key, { a, b, opposite: [] });
+                edges.get(key).opposite.push(c);
+                neighbors[a].add(b);
+                neighbors[b].add(a);
+            }
+        }
+
+        // Boundary edges belong to a single triangle
+        const boundaryNeighbors = Array.from({ length: vertexCount }, () => []);
+        edges.forEach(({ a, b, opposite }) => {
+            if (opposite.length !== 1) return;
+            boundaryNeighbors[a].push(b);
+            boundaryNeighbors[b].push(a);
+        });
+
+        const starts = [0];
+        const sources = [];
+        const weights = [];
+        const push = terms => {
+            terms.forEach(([source, weight]) => {
+                sources.push(source);
+                weights.push(weight);
+            });
+            starts.push(sources.length);
+        };
+
+        for (let v = 0; v < vertexCount; v++) {
+            const ring = [...neighbors[v]];
+            const boundary = boundaryNeighbors[v];
+
+            if (ring.length === 0 || boundary.length > 2) {
+                // Unused vertices (e.g. iris landmarks) and non-manifold corners stay put
+                push([[v, 1]]);
+            } else if (boundary.length === 2) {
+                // Boundary vertices only follow the boundary, so holes keep their outline
+                push([[v, 0.75], [boundary[0], 0.125], [boundary[1], 0.125]]);
+            } else {
+                const n = ring.length;
+                const beta = n === 3 ? 3 / 16 : 3 / (8 * n);
+                push([[v, 1 - n * beta], ...ring.map(u => [u, beta])]);
+            }
+        }
+
+        const edgeIds = new Map();
+        edges.forEach(({ a, b, opposite }, key) => {
+            edgeIds.set(key, vertexCount + edgeIds.size);
+            if (opposite.length === 2) {
+                push([[a, 0.375], [b, 0.375], [opposite[0], 0.125], [opposite[1], 0.125]]);
+            } else {
+                push([[a, 0.5], [b, 0.5]]);
+            }
+        });
+
+        return {
+            stencils: {
+                starts: Uint32Array.from(starts),
+                sources: Uint32Array.from(sources),
+                weights: Float32Array.from(weights)
+            },
+            edgeIds
+        };
+    }
+
+    applyStencils(attribute, { starts, sources, weights }) {
+        const itemSize = attribute.itemSize;
+        const input = attribute.array;
+        const output = new Float32Array((starts.length - 1) * itemSize);
+
+        for (let i = 0; i < starts.length - 1; i++) {
+            for (let k = starts[i]; k < starts[i + 1]; k++) {
+                const weight = weights[k];
+                const source = sources[k] * itemSize;
+                for (let c = 0; c < itemSize; c++) {
+                    output[i * itemSize + c] += weight * input[source + c];
+                }
+            }
+        }
+
+        const result = new THREE.BufferAttribute(output, itemSize);
+        result.name = attribute.name;
+        return result;
+    }
+}
+
+function edgeKey(a, b, vertexCount) {
+    return a < b ? a * vertexCount + b : b * vertexCount + a;
+}
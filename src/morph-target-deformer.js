@@ -0,0 +1,500 @@
+/**
+ * Morph Target Deformer
+ * Builds per-vertex displacement fields for ARKit blendshapes from landmark
+ * region masks, scaled to the proportions of the face they are applied to
+ */
+
+import * as THREE from 'three';
+import { FACE_REGIONS } from './face-regions.js';
+
+const SIDE_SUFFIXES = ['Left', 'Right'];
+
+// Share of the lid movement applied to each eyelid ring (margin first)
+const LID_RING_WEIGHTS = [1.0, 0.6, 0.25];
+
+// Iris travel of the eyeLook shapes, as a share of the eye width (in/out) or lid gap (up/down)
+const GAZE_SHIFT = 0.25;
+
+// Jaw travel of jawForward and jawLeft/Right, as a share of the eye distance
+const JAW_FORWARD_SHIFT = 0.06;
+const JAW_SIDE_SHIFT = 0.08;
+
+export class MorphTargetDeformer {
+    constructor(basePositions) {
+        this.base = basePositions;
+        this.vertexCount = basePositions.length / 3;
+        this.maskCache = new Map();
+        this.metrics = this.measureFace();
+    }
+
+    point(index) {
+        return new THREE.Vector3(
+            this.base[index * 3],
+            this.base[index * 3 + 1],
+            this.base[index * 3 + 2]
+        );
+    }
+
+    midpoint(a, b) {
+        return this.point(a).add(this.point(b)).multiplyScalar(0.5);
+    }
+
+    measureFace() {
+        const eyes = FACE_REGIONS.eyes;
+        const lips = FACE_REGIONS.lips;
+
+        const eyeCenter = {};
+        const eyeWidth = {};
+        const eyeOpening = {};
+        SIDE_SUFFIXES.forEach(side => {
+            const eye = eyes[side];
+            eyeCenter[side] = this.midpoint(eye.outerCorner, eye.innerCorner);
+            eyeWidth[side] = this.point(eye.outerCorner).distanceTo(this.point(eye.innerCorner));
+            // Lid gap at the middle of the margin rings
+            const mid = Math.floor(eye.upper[0].length / 2);
+            eyeOpening[side] = this.point(eye.upper[0][mid]).distanceTo(this.point(eye.lower[0][mid]));
+        });
+
+        let minZ = Infinity, maxZ = -Infinity;
+        for (let i = 0; i < this.vertexCount; i++) {
+            minZ = Math.min(minZ, this.base[i * 3 + 2]);
+            maxZ = Math.max(maxZ, this.base[i * 3 + 2]);
+        }
+
+        return {
+            eyeCenter,
+            eyeWidth,
+            eyeOpening,
+            eyeDistance: eyeCenter.Left.distanceTo(eyeCenter.Right),
+            mouthWidth: this.point(lips.Left.corners[0]).distanceTo(this.point(lips.Right.corners[0])),
+            mouthCenter: this.midpoint(lips.upperCenter, lips.lowerCenter),
+            faceHeight: this.point(FACE_REGIONS.foreheadTop).distanceTo(this.point(FACE_REGIONS.chin[0])),
+            minZ,
+            depth: maxZ - minZ
+        };
+    }
+
+    /**
+     * Returns the displacement field (relative to the base positions) for one blendshape.
+     * Unknown names produce an all-zero field.
+     */
+    buildTarget(blendshapeName) {
+        const delta = new Float32Array(this.base.length);
+        const { side, shape, dir } = parseName(blendshapeName);
+        const { eyeDistance: E, mouthWidth: M } = this.metrics;
+
+        switch (shape) {
+            // Eyes
+            case 'eyeBlink':
+                this.moveEyelid(delta, side, 'upper', 0.8);
+                this.moveEyelid(delta, side, 'lower', 0.2);
+                break;
+            case 'eyeSquint':
+                this.moveEyelid(delta, side, 'lower', 0.35);
+                this.moveEyelid(delta, side, 'upper', 0.1);
+                this.translate(delta, this.mask(FACE_REGIONS.cheeks[side], 0.2 * E), 0, 0.02 * E, 0.01 * E);
+                break;
+            case 'eyeWide':
+                this.moveEyelid(delta, side, 'upper', -0.3);
+                this.moveEyelid(delta, side, 'lower', -0.08);
+                break;
+            case 'eyeLookUp': {
+                const gaze = this.gazeOffset(blendshapeName);
+                this.moveIris(delta, side, gaze.x, gaze.y);
+                this.moveEyelid(delta, side, 'upper', -0.15);
+                this.moveEyelid(delta, side, 'lower', 0.05);
+                break;
+            }
+            case 'eyeLookDown': {
+                const gaze = this.gazeOffset(blendshapeName);
+                this.moveIris(delta, side, gaze.x, gaze.y);
+                this.moveEyelid(delta, side, 'upper', 0.3);
+                this.moveEyelid(delta, side, 'lower', -0.05);
+                break;
+            }
+            case 'eyeLookIn':
+            case 'eyeLookOut': {
+                const gaze = this.gazeOffset(blendshapeName);
+                this.moveIris(delta, side, gaze.x, gaze.y);
+                break;
+            }
+
+            // Brows
+            case 'browDown':
+                this.translate(delta, this.browMask(this.browIndices(side), 0.35 * E), -dir * 0.04 * E, -0.1 * E, 0);
+                break;
+            case 'browInnerUp':
+                this.translate(delta, this.browMask([
+                    ...FACE_REGIONS.brows.Left.inner, ...FACE_REGIONS.brows.Right.inner
+                ], 0.4 * E), 0, 0.1 * E, 0);
+                break;
+            case 'browOuterUp':
+                this.translate(delta, this.browMask(FACE_REGIONS.brows[side].outer, 0.35 * E), 0, 0.1 * E, 0);
+                break;
+
+            // Cheeks and nose
+            case 'cheekPuff':
+                SIDE_SUFFIXES.forEach(s => {
+                    const outward = s === 'Left' ? -1 : 1;
+                    this.translate(delta, this.mask(FACE_REGIONS.cheeks[s], 0.5 * E, this.lipAndEyeIndices()),
+                        outward * 0.06 * E, 0, 0.03 * E);
+                });
+                break;
+            case 'cheekSquint':
+                this.translate(delta, this.mask(FACE_REGIONS.cheeks[side], 0.35 * E, this.eyeMarginIndices()),
+                    0, 0.05 * E, 0.015 * E);
+                break;
+            case 'noseSneer': {
+                const nose = FACE_REGIONS.nose[side];
+                this.translate(delta, this.mask([...nose.wing, ...nose.crease], 0.25 * E, this.lipIndices('lower')),
+                    -dir * 0.01 * E, 0.05 * E, 0);
+                break;
+            }
+
+            // Jaw
+            case 'jawOpen':
+                this.openJaw(delta, 1);
+                break;
+            case 'jawForward':
+                this.translate(delta, this.jawMask(), 0, 0, JAW_FORWARD_SHIFT * E);
+                break;
+            case 'jaw':
+                this.translate(delta, this.jawMask(), dir * JAW_SIDE_SHIFT * E, 0, 0);
+                break;
+
+            // Mouth
+            case 'mouthClose': {
+                // Cancels the lip separation of jawOpen so the two combine into closed lips
+                const jaw = new Float32Array(this.base.length);
+                this.openJaw(jaw, 1);
+                const i = FACE_REGIONS.lips.lowerCenter * 3;
+                const drop = new THREE.Vector3(jaw[i], jaw[i + 1], jaw[i + 2]).multiplyScalar(0.5);
+                this.translate(delta, this.lipMask('upper', 0.15 * M), drop.x, drop.y, drop.z);
+                this.translate(delta, this.lipMask('lower', 0.15 * M), -drop.x, -drop.y, -drop.z);
+                break;
+            }
+            case 'mouthFunnel': {
+                const lips = this.mask(this.lipIndices('all'), 0.3 * M);
+                this.translate(delta, lips, 0, 0, 0.08 * M);
+                this.scale(delta, lips, this.metrics.mouthCenter, 0.85, 1, 1);
+                this.translate(delta, this.lipMask('upper', 0.1 * M), 0, 0.04 * M, 0);
+                this.translate(delta, this.lipMask('lower', 0.1 * M), 0, -0.04 * M, 0);
+                break;
+            }
+            case 'mouthPucker': {
+                const lips = this.mask(this.lipIndices('all'), 0.3 * M);
+                this.translate(delta, lips, 0, 0, 0.1 * M);
+                this.scale(delta, lips, this.metrics.mouthCenter, 0.7, 0.9, 1);
+                break;
+            }
+            case 'mouth':
+                this.translate(delta, this.mask(this.lipIndices('all'), 0.45 * M), dir * 0.15 * M, 0, 0);
+                break;
+            case 'mouthSmile':
+                this.translate(delta, this.cornerMask(side), dir * 0.08 * M, 0.12 * M, -0.03 * M);
+                this.translate(delta, this.mask(FACE_REGIONS.cheeks[side], 0.3 * E, this.eyeMarginIndices()),
+                    0, 0.03 * E, 0.01 * E);
+                break;
+            case 'mouthFrown':
+                this.translate(delta, this.cornerMask(side), dir * 0.02 * M, -0.1 * M, 0);
+                break;
+            case 'mouthDimple':
+                this.translate(delta, this.cornerMask(side), dir * 0.04 * M, 0.01 * M, -0.05 * M);
+                break;
+            case 'mouthStretch':
+                this.translate(delta, this.cornerMask(side), dir * 0.12 * M, -0.03 * M, -0.02 * M);
+                break;
+            case 'mouthPress': {
+                const half = this.sideMask(side);
+                this.translate(delta, this.multiply(this.lipMask('upper', 0.12 * M), half), 0, -0.015 * M, -0.01 * M);
+                this.translate(delta, this.multiply(this.lipMask('lower', 0.12 * M), half), 0, 0.015 * M, -0.01 * M);
+                break;
+            }
+            case 'mouthLowerDown':
+                this.translate(delta, this.multiply(this.lipMask('lower', 0.25 * M), this.sideMask(side)), 0, -0.12 * M, 0);
+                break;
+            case 'mouthUpperUp':
+                this.translate(delta, this.multiply(this.lipMask('upper', 0.25 * M), this.sideMask(side)), 0, 0.1 * M, 0);
+                break;
+            case 'mouthRollLower':
+                this.translate(delta, this.mask(FACE_REGIONS.lips.lowerOuter, 0.1 * M, this.lipIndices('upper')),
+                    0, 0.03 * M, -0.04 * M);
+                break;
+            case 'mouthRollUpper':
+                this.translate(delta, this.mask(FACE_REGIONS.lips.upperOuter, 0.1 * M, this.lipIndices('lower')),
+                    0, -0.03 * M, -0.04 * M);
+                break;
+            case 'mouthShrugLower':
+                this.translate(delta, this.mask([...this.lipIndices('lower'), ...FACE_REGIONS.chin], 0.3 * M, this.lipIndices('upper')),
+                    0, 0.05 * M, 0.02 * M);
+                break;
+            case 'mouthShrugUpper':
+                this.translate(delta, this.lipMask('upper', 0.25 * M), 0, 0.035 * M, 0.01 * M);
+                break;
+            case 'tongueOut':
+                // The face mesh has no tongue; the lower lip is pushed out by it
+                this.translate(delta, this.lipMask('lower', 0.2 * M), 0, -0.05 * M, 0.02 * M);
+                break;
+        }
+
+        return delta;
+    }
+
+    // --- Region masks ---
+
+    /**
+     * Weight 1 on the given landmarks, smoothly falling to 0 at `radius` from the
+     * nearest of them. Excluded landmarks are always 0 so that masks don't bleed
+     * across touching features (upper and lower lids or lips).
+     */
+    mask(indices, radius, exclude = []) {
+        const key = indices.join(',') + '|' + radius.toFixed(5) + '|' + exclude.join(',');
+        if (this.maskCache.has(key)) return this.maskCache.get(key);
+
+        const members = new Set(indices);
+        const excluded = new Set(exclude);
+        const points = indices.map(i => this.point(i));
+        const weights = new Float32Array(this.vertexCount);
+        const p = new THREE.Vector3();
+
+        for (let v = 0; v < this.vertexCount; v++) {
+            if (members.has(v)) {
+                weights[v] = 1;
+                continue;
+            }
+            if (excluded.has(v) || radius <= 0) continue;
+
+            p.set(this.base[v * 3], this.base[v * 3 + 1], this.base[v * 3 + 2]);
+            let nearest = Infinity;
+            points.forEach(q => { nearest = Math.min(nearest, p.distanceTo(q)); });
+            weights[v] = falloff(nearest / radius);
+        }
+
+        this.maskCache.set(key, weights);
+        return weights;
+    }
+
+    // Smooth half-face mask, blending across the midline over a fraction of the eye distance
+    sideMask(side) {
+        const key = 'side|' + side;
+        if (this.maskCache.has(key)) return this.maskCache.get(key);
+
+        const dir = side === 'Left' ? -1 : 1;
+        const blendWidth = 0.15 * this.metrics.eyeDistance;
+        const weights = new Float32Array(this.vertexCount);
+        for (let v = 0; v < this.vertexCount; v++) {
+            weights[v] = THREE.MathUtils.smoothstep(this.base[v * 3] * dir, -blendWidth, blendWidth);
+        }
+
+        this.maskCache.set(key, weights);
+        return weights;
+    }
+
+    // Everything below the lip seam, with the lower lip fully attached and the upper lip excluded
+    jawMask() {
+        const key = 'jaw';
+        if (this.maskCache.has(key)) return this.maskCache.get(key);
+
+        // The upper lip stays put when the jaw opens, so it anchors the seam in any expression
+        const seamY = this.point(FACE_REGIONS.lips.upperCenter).y;
+        const transition = 0.15 * this.metrics.mouthWidth;
+        const weights = new Float32Array(this.vertexCount);
+        for (let v = 0; v < this.vertexCount; v++) {
+            weights[v] = THREE.MathUtils.smoothstep(seamY - this.base[v * 3 + 1], 0, transition);
+        }
+        this.lipIndices('lower').forEach(i => { weights[i] = 1; });
+        this.lipIndices('upper').forEach(i => { weights[i] = 0; });
+        [...FACE_REGIONS.lips.Left.corners, ...FACE_REGIONS.lips.Right.corners].forEach(i => { weights[i] = 0.5; });
+
+        this.maskCache.set(key, weights);
+        return weights;
+    }
+
+    lipMask(lip, radius) {
+        return this.mask(this.lipIndices(lip), radius, this.lipIndices(lip === 'upper' ? 'lower' : 'upper'));
+    }
+
+    cornerMask(side) {
+        return this.mask(FACE_REGIONS.lips[side].corners, 0.4 * this.metrics.mouthWidth);
+    }
+
+    browMask(indices, radius) {
+        return this.mask(indices, radius, this.eyeMarginIndices());
+    }
+
+    browIndices(side) {
+        return [...FACE_REGIONS.brows[side].upper, ...FACE_REGIONS.brows[side].lower];
+    }
+
+    lipIndices(lip) {
+        const lips = FACE_REGIONS.lips;
+        const upper = [...lips.upperOuter, ...lips.upperInner];
+        const lower = [...lips.lowerOuter, ...lips.lowerInner];
+        if (lip === 'upper') return upper;
+        if (lip === 'lower') return lower;
+        return [...upper, ...lower, ...lips.Left.corners, ...lips.Right.corners];
+    }
+
+    eyeMarginIndices() {
+        return SIDE_SUFFIXES.flatMap(side => [
+            ...FACE_REGIONS.eyes[side].upper[0],
+            ...FACE_REGIONS.eyes[side].lower[0]
+        ]);
+    }
+
+    lipAndEyeIndices() {
+        return [...this.lipIndices('all'), ...this.eyeMarginIndices()];
+    }
+
+    multiply(a, b) {
+        const weights = new Float32Array(this.vertexCount);
+        for (let v = 0; v < this.vertexCount; v++) weights[v] = a[v] * b[v];
+        return weights;
+    }
+
+    // --- Displacement operators ---
+
+    translate(delta, weights, dx, dy, dz) {
+        for (let v = 0; v < this.vertexCount; v++) {
+            const w = weights[v];
+            if (w === 0) continue;
+            delta[v * 3] += dx * w;
+            delta[v * 3 + 1] += dy * w;
+            delta[v * 3 + 2] += dz * w;
+        }
+    }
+
+    scale(delta, weights, center, sx, sy, sz) {
+        for (let v = 0; v < this.vertexCount; v++) {
+            const w = weights[v];
+            if (w === 0) continue;
+            delta[v * 3] += (this.base[v * 3] - center.x) * (sx - 1) * w;
+            delta[v * 3 + 1] += (this.base[v * 3 + 1] - center.y) * (sy - 1) * w;
+            delta[v * 3 + 2] += (this.base[v * 3 + 2] - center.z) * (sz - 1) * w;
+        }
+    }
+
+    rotate(delta, weights, pivot, axis, angle) {
+        const q = new THREE.Quaternion();
+        const p = new THREE.Vector3();
+        for (let v = 0; v < this.vertexCount; v++) {
+            const w = weights[v];
+            if (w === 0) continue;
+            // Partial weights rotate by a partial angle so the surface bends instead of shearing
+            q.setFromAxisAngle(axis, angle * w);
+            p.set(this.base[v * 3], this.base[v * 3 + 1], this.base[v * 3 + 2]).sub(pivot);
+            const rotated = p.clone().applyQuaternion(q);
+            delta[v * 3] += rotated.x - p.x;
+            delta[v * 3 + 1] += rotated.y - p.y;
+            delta[v * 3 + 2] += rotated.z - p.z;
+        }
+    }
+
+    // --- Feature rigs ---
+
+    /**
+     * Moves one eyelid by a fraction of the current lid gap. Positive amounts close
+     * the eye (upper lid down, lower lid up), negative amounts open it.
+     */
+    moveEyelid(delta, side, lid, amount) {
+        const eye = FACE_REGIONS.eyes[side];
+        const gap = this.metrics.eyeOpening[side];
+
+        eye[lid].forEach((ring, r) => {
+            ring.forEach((index, i) => {
+                // Per-column gap, so the lid follows the eye's own shape
+                const toOther = lid === 'upper'
+                    ? this.point(eye.lower[0][i]).sub(this.point(eye.upper[0][i]))
+                    : this.point(eye.upper[0][i]).sub(this.point(eye.lower[0][i]));
+                if (toOther.lengthSq() < 1e-12) toOther.set(0, lid === 'upper' ? -gap : gap, 0);
+                toOther.multiplyScalar(amount * LID_RING_WEIGHTS[r]);
+
+                delta[index * 3] += toOther.x;
+                delta[index * 3 + 1] += toOther.y;
+                // Closing lids slide over the eyeball, which bulges them forward a little
+                delta[index * 3 + 2] += Math.max(amount, 0) * LID_RING_WEIGHTS[r] * 0.1 * gap;
+            });
+        });
+    }
+
+    moveIris(delta, side, dx, dy) {
+        FACE_REGIONS.eyes[side].iris.forEach(index => {
+            if (index >= this.vertexCount) return;
+            delta[index * 3] += dx;
+            delta[index * 3 + 1] += dy;
+        });
+    }
+
+    /**
+     * In-plane iris shift of an eyeLook shape, or null for any other name.
+     * Shared with the eyeballs so that they turn as far as the iris landmarks move.
+     */
+    gazeOffset(blendshapeName) {
+        const { side, shape, dir } = parseName(blendshapeName);
+        if (!side) return null;
+        const width = GAZE_SHIFT * this.metrics.eyeWidth[side];
+        const opening = GAZE_SHIFT * this.metrics.eyeOpening[side];
+
+        switch (shape) {
+            case 'eyeLookUp': return new THREE.Vector2(0, opening);
+            case 'eyeLookDown': return new THREE.Vector2(0, -opening);
+            case 'eyeLookIn': return new THREE.Vector2(-dir * width, 0);
+            case 'eyeLookOut': return new THREE.Vector2(dir * width, 0);
+            default: return null;
+        }
+    }
+
+    // Approximate temporomandibular joint and the full jawOpen angle
+    jawRotation() {
+        const { faceHeight, minZ, depth } = this.metrics;
+        const noseTip = this.point(FACE_REGIONS.nose.tip[0]);
+        const pivot = new THREE.Vector3(0, noseTip.y, minZ - 0.3 * depth);
+        const chin = this.point(FACE_REGIONS.chin[0]);
+
+        // Open the chin by roughly a fifth of the face height
+        const angle = (0.2 * faceHeight) / Math.max(chin.distanceTo(pivot), 1e-6);
+        return { pivot, axis: new THREE.Vector3(1, 0, 0), angle };
+    }
+
+    /**
+     * Displacement of a point rigidly attached to the jaw (lower teeth, tongue)
+     * for the jaw blendshapes, or null for any other name.
+     */
+    jawOffset(blendshapeName, point) {
+        const { shape, dir } = parseName(blendshapeName);
+        const E = this.metrics.eyeDistance;
+
+        switch (shape) {
+            case 'jawOpen': {
+                const { pivot, axis, angle } = this.jawRotation();
+                const p = point.clone().sub(pivot);
+                return p.clone().applyAxisAngle(axis, angle).sub(p);
+            }
+            case 'jawForward': return new THREE.Vector3(0, 0, JAW_FORWARD_SHIFT * E);
+            case 'jaw': return new THREE.Vector3(dir * JAW_SIDE_SHIFT * E, 0, 0);
+            default: return null;
+        }
+    }
+
+    // Rotates the jaw region around an approximate temporomandibular joint
+    openJaw(delta, amount) {
+        const { pivot, axis, angle } = this.jawRotation();
+        this.rotate(delta, this.jawMask(), pivot, axis, angle * amount);
+    }
+}
+
+// Splits a blendshape name into its shape and side, e.g. eyeBlinkLeft -> eyeBlink + Left
+function parseName(blendshapeName) {
+    const side = SIDE_SUFFIXES.find(s => blendshapeName.endsWith(s)) || null;
+    const shape = side ? blendshapeName.slice(0, -side.length) : blendshapeName;
+    // Outward direction along X for the given side
+    const dir = side === 'Left' ? -1 : 1;
+    return { side, shape, dir };
+}
+
+// Smooth (1 - t^2)^2 falloff, 1 at t = 0 and 0 from t = 1
+function falloff(t) {
+    if (t >= 1) return 0;
+    const s = 1 - t * t;
+    return s * s;
+}
@@ -0,0 +1,242 @@
+/**
+ * Retargeting Profile
+ * Maps the 52 ARKit coefficients onto another rig's expression names. Each target is a
+ * weighted sum of ARKit sources: one source renames (and optionally scales) a
+ * coefficient, several combine into one target, and a source shared by several targets,
+ * optionally limited to one half of the face, splits across them. A target's morph is
+ * the same combination of the ARKit morph targets.
+ */
+
+import * as THREE from 'three';
+import { ARKIT_BLENDSHAPE_NAMES } from './blendshape-registry.js';
+
+export const RETARGETING_VERSION = 1;
+
+// Width of the blend across the face midline for one-sided sources, as a share of the face width
+const MIDLINE_BLEND = 0.08;
+
+export class RetargetingProfile {
+    /**
+     * targets maps each target name to its sources, { arkitName: weight } or
+     * { arkitName: { weight, shape, side } }. weight scales the coefficient into the
+     * target's value; shape (1 by default) scales the source's morph in the target's;
+     * side ('Left' or 'Right') keeps only that half of the source's morph.
+     */
+    constructor(name, targets) {
+        this.name = name;
+        this.targets = {};
+        Object.entries(targets).forEach(([target, sources]) => {
+            this.targets[target] = Object.entries(sources).map(([source, spec]) => {
+                const { weight = 1, shape = 1, side = null } = typeof spec === 'number' ? { weight: spec } : spec;
+                return { source, weight, shape, side };
+            });
+        });
+    }
+
+    get targetNames() {
+        return Object.keys(this.targets);
+    }
+
+    // True for the plain ARKit names, where retargeting would change nothing
+    get isIdentity() {
+        const names = this.targetNames;
+        return names.length === ARKIT_BLENDSHAPE_NAMES.length && names.every(name => {
+            const sources = this.targets[name];
+            return sources.length === 1 && sources[0].source === name && sources[0].weight === 1
+                && sources[0].shape === 1 && !sources[0].side;
+        });
+    }
+
+    // Target values from ARKit coefficients, clamped to 0..1
+    mapValues(coefficients) {
+        const values = {};
+        Object.entries(this.targets).forEach(([target, sources]) => {
+            const sum = sources.reduce((total, { source, weight }) => total + weight * (coefficients[source] ?? 0), 0);
+            values[target] = Math.min(1, Math.max(0, sum));
+        });
+        return values;
+    }
+
+    /**
+     * Replaces the ARKit morph targets of the mesh and its children with the profile's,
+     * and sets their influences from the ARKit ones. Children only get the targets with a
+     * source among their own morphs. Returns the new geometries, for disposal.
+     */
+    retargetMesh(root) {
+        const geometries = [];
+        const faceWidth = root.userData.faceWidth ?? 2;
+        root.updateMatrixWorld(true);
+        const toRoot = root.matrixWorld.clone().invert();
+
+        root.traverse(object => {
+            if (!object.isMesh || !object.morphTargetDictionary || !object.geometry.morphAttributes.position) return;
+            const influences = {};
+            Object.entries(object.morphTargetDictionary).forEach(([name, index]) => {
+                influences[name] = object.morphTargetInfluences[index];
+            });
+
+            const matrix = toRoot.clone().multiply(object.matrixWorld);
+            object.geometry = this.retargetGeometry(object.geometry, matrix, faceWidth);
+            geometries.push(object.geometry);
+            if (!object.geometry.morphAttributes.position) {
+                // No target of the profile moves this mesh
+                object.morphTargetDictionary = undefined;
+                object.morphTargetInfluences = undefined;
+                return;
+            }
+            object.updateMorphTargets();
+
+            const values = this.mapValues(influences);
+            Object.entries(object.morphTargetDictionary).forEach(([name, index]) => {
+                object.morphTargetInfluences[index] = values[name];
+            });
+        });
+
+        return geometries;
+    }
+
+    /**
+     * Copy of the geometry with the profile's morph targets. matrix takes its positions
+     * into face space (x towards the face's right side), where one-sided sources are cut.
+     */
+    retargetGeometry(geometry, matrix, faceWidth) {
+        const result = geometry.clone();
+        const sourceIndex = {};
+        geometry.morphAttributes.position.forEach((attribute, index) => { sourceIndex[attribute.name] = index; });
+
+        const position = geometry.attributes.position;
+        const halfBlend = MIDLINE_BLEND * faceWidth / 2;
+        const point = new THREE.Vector3();
+        let rightShare = null;
+        // Share of each vertex on the face's right half, blended across the midline
+        const sideShare = side => {
+            if (!rightShare) {
+                rightShare = new Float32Array(position.count);
+                for (let v = 0; v < position.count; v++) {
+                    point.fromBufferAttribute(position, v).applyMatrix4(matrix);
+                    rightShare[v] = THREE.MathUtils.smoothstep(point.x, -halfBlend, halfBlend);
+                }
+            }
+            return v => (side === 'Right' ? rightShare[v] : 1 - rightShare[v]);
+        };
+
+        const targets = Object.entries(this.targets)
+            .map(([name, sources]) => [name, sources.filter(({ source }) => sourceIndex[source] !== undefined)])
+            .filter(([, sources]) => sources.length > 0);
+
+        Object.entries(geometry.morphAttributes).forEach(([key, attributes]) => {
+            // Absolute targets are summed as offsets from the base, then put back on it
+            const base = geometry.morphTargetsRelative ? null : geometry.attributes[key];
+            result.morphAttributes[key] = targets.map(([name, sources]) => {
+                const array = base ? Float32Array.from(base.array) : new Float32Array(attributes[0].count * 3);
+                sources.forEach(({ source, shape, side }) => {
+                    const attribute = attributes[sourceIndex[source]];
+                    const share = side ? sideShare(side) : () => 1;
+                    for (let v = 0; v < attribute.count; v++) {
+                        const s = shape * share(v);
+                        if (s === 0) continue;
+                        array[v * 3] += s * (attribute.getX(v) - (base ? base.getX(v) : 0));
+                        array[v * 3 + 1] += s * (attribute.getY(v) - (base ? base.getY(v) : 0));
+                        array[v * 3 + 2] += s * (attribute.getZ(v) - (base ? base.getZ(v) : 0));
+                    }
+                });
+                const target = new THREE.Float32BufferAttribute(array, 3);
+                target.name = name;
+                return target;
+            });
+        });
+
+        if (targets.length === 0) result.morphAttributes = {};
+        result.userData = { ...geometry.userData };
+        if (result.userData.targetNames) result.userData.targetNames = targets.map(([name]) => name);
+        return result;
+    }
+
+    toJSON() {
+        const targets = {};
+        Object.entries(this.targets).forEach(([target, sources]) => {
+            targets[target] = {};
+            sources.forEach(({ source, weight, shape, side }) => {
+                targets[target][source] = shape === 1 && !side ? weight : { weight, shape, ...(side ? { side } : {}) };
+            });
+        });
+        return { version: RETARGETING_VERSION, name: this.name, targets };
+    }
+
+    static fromJSON(json) {
+        if (!json || typeof json !== 'object' || !json.targets || typeof json.targets !== 'object') {
+            throw new Error('Retargeting profile needs a "targets" object');
+        }
+        Object.entries(json.targets).forEach(([target, sources]) => {
+            if (!sources || typeof sources !== 'object') throw new Error(`Target "${target}" needs an object of sources`);
+            Object.entries(sources).forEach(([source, spec]) => {
+                if (!ARKIT_BLENDSHAPE_NAMES.includes(source)) throw new Error(`Target "${target}": unknown ARKit source "${source}"`);
+                const { weight = 1, shape = 1, side } = typeof spec === 'number' ? { weight: spec } : (spec || {});
+                if (!Number.isFinite(weight) || !Number.isFinite(shape)) throw new Error(`Target "${target}": weights must be numbers`);
+                if (side !== undefined && side !== null && side !== 'Left' && side !== 'Right') {
+                    throw new Error(`Target "${target}": side must be "Left" or "Right"`);
+                }
+            });
+        });
+        if (Object.keys(json.targets).length === 0) throw new Error('Retargeting profile has no targets');
+        return new RetargetingProfile(typeof json.name === 'string' && json.name ? json.name : 'Custom', json.targets);
+    }
+}
+
+const ARKIT_TARGETS = Object.fromEntries(ARKIT_BLENDSHAPE_NAMES.map(name => [name, { [name]: 1 }]));
+
+// Live Link Face curves, which MetaHuman's ARKit mapping pose reads: the ARKit names capitalized
+const LIVE_LINK_TARGETS = Object.fromEntries(ARKIT_BLENDSHAPE_NAMES.map(name => [name[0].toUpperCase() + name.slice(1), { [name]: 1 }]));
+
+// VRM 1.0 preset expressions; neutral is the rest pose and has no target. VRM's left is
+// the avatar's own, the +x half, which the Right targets move here (Left is image-left, -x)
+const VRM_TARGETS = {
+    happy: {
+        mouthSmileLeft: 0.5, mouthSmileRight: 0.5,
+        cheekSquintLeft: { weight: 0, shape: 0.5 }, cheekSquintRight: { weight: 0, shape: 0.5 }
+    },
+    angry: {
+        browDownLeft: 0.5, browDownRight: 0.5,
+        mouthFrownLeft: { weight: 0, shape: 0.5 }, mouthFrownRight: { weight: 0, shape: 0.5 }
+    },
+    sad: { browInnerUp: 0.5, mouthFrownLeft: 0.25, mouthFrownRight: 0.25 },
+    relaxed: { mouthSmileLeft: 0.25, mouthSmileRight: 0.25, eyeSquintLeft: 0.25, eyeSquintRight: 0.25 },
+    surprised: { eyeWideLeft: 0.25, eyeWideRight: 0.25, browInnerUp: 0.25, jawOpen: 0.25 },
+    aa: { jawOpen: 1 },
+    ih: { jawOpen: 0.3, mouthStretchLeft: 0.35, mouthStretchRight: 0.35 },
+    ou: { mouthPucker: 0.7, jawOpen: 0.3 },
+    ee: { mouthSmileLeft: 0.25, mouthSmileRight: 0.25, mouthStretchLeft: 0.25, mouthStretchRight: 0.25 },
+    oh: { mouthFunnel: 0.6, jawOpen: 0.4 },
+    blink: { eyeBlinkLeft: 0.5, eyeBlinkRight: 0.5 },
+    blinkLeft: { eyeBlinkRight: 1 },
+    blinkRight: { eyeBlinkLeft: 1 },
+    lookUp: { eyeLookUpLeft: 0.5, eyeLookUpRight: 0.5 },
+    lookDown: { eyeLookDownLeft: 0.5, eyeLookDownRight: 0.5 },
+    lookLeft: { eyeLookInLeft: 0.5, eyeLookOutRight: 0.5 },
+    lookRight: { eyeLookOutLeft: 0.5, eyeLookInRight: 0.5 }
+};
+
+// Oculus Lipsync visemes, approximated from the mouth coefficients; sil is the rest pose
+const VISEME_TARGETS = {
+    viseme_PP: { mouthPressLeft: 0.35, mouthPressRight: 0.35, mouthRollUpper: 0.15, mouthRollLower: 0.15 },
+    viseme_FF: { mouthRollLower: 0.5, mouthUpperUpLeft: 0.25, mouthUpperUpRight: 0.25 },
+    viseme_TH: { tongueOut: 0.6, jawOpen: 0.4 },
+    viseme_DD: { jawOpen: 0.4, mouthStretchLeft: 0.3, mouthStretchRight: 0.3 },
+    viseme_kk: { jawOpen: 0.5, mouthStretchLeft: 0.25, mouthStretchRight: 0.25 },
+    viseme_CH: { mouthFunnel: 0.6, jawOpen: 0.2, mouthShrugUpper: 0.2 },
+    viseme_SS: { mouthStretchLeft: 0.4, mouthStretchRight: 0.4, jawOpen: 0.2 },
+    viseme_nn: { jawOpen: 0.5, mouthShrugLower: 0.5 },
+    viseme_RR: { mouthFunnel: 0.5, mouthPucker: 0.3, jawOpen: 0.2 },
+    viseme_aa: { jawOpen: 0.8, mouthLowerDownLeft: 0.1, mouthLowerDownRight: 0.1 },
+    viseme_E: { jawOpen: 0.5, mouthSmileLeft: 0.25, mouthSmileRight: 0.25 },
+    viseme_I: { jawOpen: 0.3, mouthStretchLeft: 0.35, mouthStretchRight: 0.35 },
+    viseme_O: { jawOpen: 0.5, mouthFunnel: 0.5 },
+    viseme_U: { mouthPucker: 0.7, jawOpen: 0.3 }
+};
+
+export const RETARGETING_PROFILES = {
+    arkit: new RetargetingProfile('ARKit', ARKIT_TARGETS),
+    vrm: new RetargetingProfile('VRM 1.0', VRM_TARGETS),
+    liveLink: new RetargetingProfile('MetaHuman / Live Link', LIVE_LINK_TARGETS),
+    visemes: new RetargetingProfile('Oculus visemes', VISEME_TARGETS)
+};
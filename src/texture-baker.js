@@ -0,0 +1,339 @@
+/**
+ * Texture Baker
+ * Bakes a tangent-space normal map and an ambient occlusion / cavity map for the
+ * face in its UV layout. The normal map combines the geometric detail a subdivided
+ * mesh has over the landmark mesh with fine relief derived from the photo; the
+ * occlusion map comes from the mesh geometry alone.
+ */
+
+import * as THREE from 'three';
+import { boxBlur, rasterizeGeometry } from './texture-raster.js';
+
+// Flat tangent-space normal, for texels no triangle covers
+const FLAT_NORMAL = [128, 128, 255];
+
+export class TextureBaker {
+    constructor(options = {}) {
+        // Gain of the photo relief (local luminance contrast) in the normal map
+        this.detailStrength = options.detailStrength ?? 4;
+        // Blur radius separating photo relief from shading, relative to the texture size
+        this.detailRadius = options.detailRadius ?? 1 / 128;
+        // Occlusion rays per vertex and how far they look (mesh units, face width is ~2)
+        this.aoRays = options.aoRays ?? 32;
+        this.aoDistance = options.aoDistance ?? 0.4;
+        // How strongly concave curvature darkens the cavity term
+        this.cavityStrength = options.cavityStrength ?? 4;
+        // Largest map baked; a 4K texture still gets 2K normal and occlusion maps,
+        // which hold all the detail the meshes have at a fraction of the memory
+        this.maxSize = options.maxSize ?? 2048;
+    }
+
+    /**
+     * lowGeometry is the landmark mesh and highGeometry a subdivision of it; both need
+     * positions, normals and UVs. Returns canvases of the texture's size (at most maxSize):
+     * normalMap (geometric plus photo detail, for the landmark mesh), detailNormalMap
+     * (photo detail only, for meshes that are already subdivided) and aoMap.
+     */
+    bake(lowGeometry, highGeometry, textureCanvas) {
+        const size = Math.min(textureCanvas.width, this.maxSize);
+        const low = rasterizeGeometry(lowGeometry, size);
+        const high = rasterizeGeometry(highGeometry, size);
+        const relief = this.photoRelief(textureCanvas, size);
+
+        const frames = triangleFrames(lowGeometry);
+        const lowNormals = lowGeometry.attributes.normal;
+        const highNormals = highGeometry.attributes.normal;
+
+        const normalData = new Uint8ClampedArray(size * size * 4);
+        const detailData = new Uint8ClampedArray(size * size * 4);
+        const n = new THREE.Vector3();
+        const h = new THREE.Vector3();
+        const t = new THREE.Vector3();
+        const b = new THREE.Vector3();
+
+        for (let p = 0; p < size * size; p++) {
+            if (low.triangle[p] < 0) continue;
+
+            // Tangent frame of the landmark mesh: interpolated normal, UV-aligned tangents
+            interpolate(n, lowNormals, low, lowGeometry.index.array, p).normalize();
+            const frame = low.triangle[p] * 6;
+            t.fromArray(frames, frame);
+            b.fromArray(frames, frame + 3);
+            t.addScaledVector(n, -n.dot(t)).normalize();
+            const handedness = new THREE.Vector3().crossVectors(n, t).dot(b) < 0 ? -1 : 1;
+            b.crossVectors(n, t).multiplyScalar(handedness);
+
+            let gx = 0, gy = 0, gz = 1;
+            if (high.triangle[p] >= 0) {
+                interpolate(h, highNormals, high, highGeometry.index.array, p).normalize();
+                gx = h.dot(t);
+                gy = h.dot(b);
+                gz = Math.max(h.dot(n), 1e-3);
+            }
+
+            // Photo relief: brighter than the surroundings reads as raised.
+            // Texture rows run down while the bitangent (increasing v) runs up.
+            const dx = -relief.dx[p] * this.detailStrength;
+            const dy = relief.dy[p] * this.detailStrength;
+
+            writeNormal(normalData, p, gx / gz + dx, gy / gz + dy);
+            writeNormal(detailData, p, dx, dy);
+        }
+
+        dilate(normalData, low.triangle, size);
+        dilate(detailData, low.triangle, size);
+
+        return {
+            normalMap: toCanvas(normalData, size),
+            detailNormalMap: toCanvas(detailData, size),
+            aoMap: this.bakeOcclusion(lowGeometry, highGeometry, low, high, size)
+        };
+    }
+
+    // Gradient of the photo's local luminance contrast (high-pass), per texel
+    photoRelief(textureCanvas, size) {
+        let source = textureCanvas;
+        if (textureCanvas.width !== size) {
+            source = document.createElement('canvas');
+            source.width = size;
+            source.height = size;
+            const ctx = source.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(textureCanvas, 0, 0, size, size);
+        }
+        const data = source.getContext('2d').getImageData(0, 0, size, size).data;
+        const luminance = new Float32Array(size * size);
+        for (let p = 0; p < luminance.length; p++) {
+            luminance[p] = (0.2126 * data[p * 4] + 0.7152 * data[p * 4 + 1] + 0.0722 * data[p * 4 + 2]) / 255;
+        }
+
+        const blurred = boxBlur(luminance, size, size, Math.max(1, Math.round(size * this.detailRadius)));
+        const height = luminance.map((value, p) => value - blurred[p]);
+
+        const dx = new Float32Array(size * size);
+        const dy = new Float32Array(size * size);
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                const p = y * size + x;
+                dx[p] = (height[p + 1] - height[p - 1]) / 2;
+                dy[p] = (height[p + size] - height[p - size]) / 2;
+            }
+        }
+        return { dx, dy };
+    }
+
+    /**
+     * Ambient occlusion from rays cast over each landmark vertex's hemisphere, times a
+     * cavity term from the subdivided mesh's concave curvature.
+     */
+    bakeOcclusion(lowGeometry, highGeometry, low, high, size) {
+        const occlusion = this.vertexOcclusion(lowGeometry);
+        const cavity = this.vertexCavity(highGeometry);
+
+        const data = new Uint8ClampedArray(size * size * 4).fill(255);
+        for (let p = 0; p < size * size; p++) {
+            let value = 1;
+            if (low.triangle[p] >= 0) value *= interpolateScalar(occlusion, low, lowGeometry.index.array, p);
+            if (high.triangle[p] >= 0) value *= interpolateScalar(cavity, high, highGeometry.index.array, p);
+            data[p * 4] = data[p * 4 + 1] = data[p * 4 + 2] = value * 255;
+        }
+        dilate(data, low.triangle, size, [255, 255, 255]);
+        return toCanvas(data, size);
+    }
+
+    vertexOcclusion(geometry) {
+        const position = geometry.attributes.position;
+        const normal = geometry.attributes.normal;
+        const index = geometry.index.array;
+        const used = new Uint8Array(position.count);
+        index.forEach(i => { used[i] = 1; });
+
+        const directions = hemisphereDirections(this.aoRays);
+        const occlusion = new Float32Array(position.count).fill(1);
+        const origin = new THREE.Vector3();
+        const n = new THREE.Vector3();
+        const tangent = new THREE.Vector3();
+        const bitangent = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        const triangles = [];
+        for (let t = 0; t < index.length; t += 3) {
+            triangles.push([index[t], index[t + 1], index[t + 2]].map(i => new THREE.Vector3().fromBufferAttribute(position, i)));
+        }
+
+        for (let v = 0; v < position.count; v++) {
+            if (!used[v]) continue;
+            n.fromBufferAttribute(normal, v).normalize();
+            origin.fromBufferAttribute(position, v).addScaledVector(n, 1e-3);
+            tangent.set(Math.abs(n.x) < 0.9 ? 1 : 0, Math.abs(n.x) < 0.9 ? 0 : 1, 0).cross(n).normalize();
+            bitangent.crossVectors(n, tangent);
+
+            let hits = 0;
+            directions.forEach(([x, y, z]) => {
+                direction.set(0, 0, 0)
+                    .addScaledVector(tangent, x)
+                    .addScaledVector(bitangent, y)
+                    .addScaledVector(n, z);
+                if (triangles.some(([a, b, c]) => intersectTriangle(origin, direction, a, b, c, this.aoDistance))) hits++;
+            });
+            occlusion[v] = 1 - hits / directions.length;
+        }
+        return occlusion;
+    }
+
+    vertexCavity(geometry) {
+        const position = geometry.attributes.position;
+        const normal = geometry.attributes.normal;
+        const index = geometry.index.array;
+        const count = position.count;
+        const centroid = new Float32Array(count * 3);
+        const edgeLength = new Float32Array(count);
+        const degree = new Float32Array(count);
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+
+        for (let t = 0; t < index.length; t += 3) {
+            for (let e = 0; e < 3; e++) {
+                const i = index[t + e], j = index[t + (e + 1) % 3];
+                a.fromBufferAttribute(position, i);
+                b.fromBufferAttribute(position, j);
+                const length = a.distanceTo(b);
+                [[i, b], [j, a]].forEach(([v, other]) => {
+                    centroid[v * 3] += other.x;
+                    centroid[v * 3 + 1] += other.y;
+                    centroid[v * 3 + 2] += other.z;
+                    edgeLength[v] += length;
+                    degree[v]++;
+                });
+            }
+        }
+
+        const cavity = new Float32Array(count).fill(1);
+        const n = new THREE.Vector3();
+        for (let v = 0; v < count; v++) {
+            if (degree[v] === 0) continue;
+            a.fromArray(centroid, v * 3).divideScalar(degree[v]).sub(b.fromBufferAttribute(position, v));
+            n.fromBufferAttribute(normal, v);
+            // Neighbours above the tangent plane mean the surface curves inwards here
+            const concavity = a.dot(n) / (edgeLength[v] / degree[v]);
+            cavity[v] = 1 - THREE.MathUtils.clamp(concavity * this.cavityStrength, 0, 0.5);
+        }
+        return cavity;
+    }
+}
+
+function interpolate(target, attribute, { triangle, weights }, index, p) {
+    const t = triangle[p] * 3;
+    const w0 = weights[p * 2], w1 = weights[p * 2 + 1], w2 = 1 - w0 - w1;
+    const a = index[t], b = index[t + 1], c = index[t + 2];
+    return target.set(
+        w0 * attribute.getX(a) + w1 * attribute.getX(b) + w2 * attribute.getX(c),
+        w0 * attribute.getY(a) + w1 * attribute.getY(b) + w2 * attribute.getY(c),
+        w0 * attribute.getZ(a) + w1 * attribute.getZ(b) + w2 * attribute.getZ(c)
+    );
+}
+
+function interpolateScalar(values, { triangle, weights }, index, p) {
+    const t = triangle[p] * 3;
+    const w0 = weights[p * 2], w1 = weights[p * 2 + 1];
+    return w0 * values[index[t]] + w1 * values[index[t + 1]] + (1 - w0 - w1) * values[index[t + 2]];
+}
+
+// Per triangle: tangent (direction of increasing u) and bitangent (increasing v), 6 floats each
+function triangleFrames(geometry) {
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    const index = geometry.index.array;
+    const frames = new Float32Array(index.length * 2);
+    const e1 = new THREE.Vector3();
+    const e2 = new THREE.Vector3();
+    const origin = new THREE.Vector3();
+
+    for (let t = 0; t < index.length; t += 3) {
+        const [a, b, c] = [index[t], index[t + 1], index[t + 2]];
+        origin.fromBufferAttribute(position, a);
+        e1.fromBufferAttribute(position, b).sub(origin);
+        e2.fromBufferAttribute(position, c).sub(origin);
+        const du1 = uv.getX(b) - uv.getX(a), dv1 = uv.getY(b) - uv.getY(a);
+        const du2 = uv.getX(c) - uv.getX(a), dv2 = uv.getY(c) - uv.getY(a);
+        const r = 1 / ((du1 * dv2 - du2 * dv1) || 1e-12);
+        const tangent = e1.clone().multiplyScalar(dv2).addScaledVector(e2, -dv1).multiplyScalar(r);
+        const bitangent = e2.clone().multiplyScalar(du1).addScaledVector(e1, -du2).multiplyScalar(r);
+        tangent.toArray(frames, t * 2);
+        bitangent.toArray(frames, t * 2 + 3);
+    }
+    return frames;
+}
+
+function writeNormal(data, p, x, y) {
+    const length = Math.hypot(x, y, 1);
+    data[p * 4] = (x / length * 0.5 + 0.5) * 255;
+    data[p * 4 + 1] = (y / length * 0.5 + 0.5) * 255;
+    data[p * 4 + 2] = (1 / length * 0.5 + 0.5) * 255;
+    data[p * 4 + 3] = 255;
+}
+
+// Grows covered texels a few pixels outwards so filtering at UV borders has no seams; the rest gets `fill`
+function dilate(data, triangle, size, fill = FLAT_NORMAL, passes = 4) {
+    let covered = Uint8Array.from(triangle, t => (t >= 0 ? 1 : 0));
+    for (let pass = 0; pass < passes; pass++) {
+        const next = covered.slice();
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const p = y * size + x;
+                if (covered[p]) continue;
+                const source = [p - 1, p + 1, p - size, p + size].find((q, k) =>
+                    q >= 0 && q < size * size && covered[q] && (k > 1 || Math.floor(q / size) === y)
+                );
+                if (source === undefined) continue;
+                for (let c = 0; c < 4; c++) data[p * 4 + c] = data[source * 4 + c];
+                next[p] = 1;
+            }
+        }
+        covered = next;
+    }
+    for (let p = 0; p < size * size; p++) {
+        if (covered[p]) continue;
+        data[p * 4] = fill[0];
+        data[p * 4 + 1] = fill[1];
+        data[p * 4 + 2] = fill[2];
+        data[p * 4 + 3] = 255;
+    }
+}
+
+function toCanvas(data, size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    canvas.getContext('2d').putImageData(new ImageData(data, size, size), 0, 0);
+    return canvas;
+}
+
+// Cosine-weighted directions over the +z hemisphere (Fibonacci spiral)
+function hemisphereDirections(count) {
+    const golden = Math.PI * (3 - Math.sqrt(5));
+    return Array.from({ length: count }, (_, i) => {
+        const r = Math.sqrt((i + 0.5) / count);
+        const angle = i * golden;
+        return [r * Math.cos(angle), r * Math.sin(angle), Math.sqrt(1 - r * r)];
+    });
+}
+
+// Möller-Trumbore ray/triangle test, limited to `maxDistance`
+function intersectTriangle(origin, direction, a, b, c, maxDistance) {
+    const e1x = b.x - a.x, e1y = b.y - a.y, e1z = b.z - a.z;
+    const e2x = c.x - a.x, e2y = c.y - a.y, e2z = c.z - a.z;
+    const px = direction.y * e2z - direction.z * e2y;
+    const py = direction.z * e2x - direction.x * e2z;
+    const pz = direction.x * e2y - direction.y * e2x;
+    const det = e1x * px + e1y * py + e1z * pz;
+    if (Math.abs(det) < 1e-12) return false;
+    const inv = 1 / det;
+    const tx = origin.x - a.x, ty = origin.y - a.y, tz = origin.z - a.z;
+    const u = (tx * px + ty * py + tz * pz) * inv;
+    if (u < 0 || u > 1) return false;
+    const qx = ty * e1z - tz * e1y, qy = tz * e1x - tx * e1z, qz = tx * e1y - ty * e1x;
+    const v = (direction.x * qx + direction.y * qy + direction.z * qz) * inv;
+    if (v < 0 || u + v > 1) return false;
+    const distance = (e2x * qx + e2y * qy + e2z * qz) * inv;
+    return distance > 1e-4 && distance < maxDistance;
+}
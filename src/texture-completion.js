@@ -0,0 +1,233 @@
+/**
+ * Texture Completion
+ * Repairs the canonical face texture of a turned head. Triangles the camera sees
+ * edge-on or from behind are replaced by the mirrored, visible side of the face;
+ * whatever neither side shows is filled with the sampled skin tone. Photo and fill
+ * are joined with multi-band (Laplacian pyramid) blending, so seams stay invisible.
+ */
+
+import { FACE_MESH_UVS } from './face-mesh-uvs.js';
+import { FACEMESH_TESSELATION } from './face-mesh-triangulation.js';
+import { boxBlur, smoothstep } from './texture-raster.js';
+
+// Landmarks around which skin is sampled: forehead, cheeks, chin, nose bridge
+export const SKIN_SAMPLE_LANDMARKS = [151, 50, 280, 199, 6];
+const DEFAULT_SKIN = [245, 230, 211];
+
+export class TextureCompletion {
+    constructor(options = {}) {
+        // Cosine between triangle normal and view direction: nothing is trusted below
+        // minFacing, everything above fullFacing
+        this.minFacing = options.minFacing ?? 0.15;
+        this.fullFacing = options.fullFacing ?? 0.5;
+        // Pyramid levels at 1024 pixels; other sizes add or drop levels to keep the coarsest band the same
+        this.levels = options.levels ?? 6;
+    }
+
+    /**
+     * Completes `canvas` (a texture in the canonical UV layout) in place.
+     * `landmarks` are the photo's normalized landmarks, `width` and `height` its size.
+     */
+    complete(canvas, landmarks, width, height) {
+        const size = canvas.width;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, size, canvas.height);
+        const pixelCount = size * canvas.height;
+
+        const confidence = this.rasterizeConfidence(this.triangleConfidence(landmarks, width, height), size, canvas.height);
+        const mirrored = mirror(confidence, size, canvas.height, 1);
+        const skin = this.sampleSkin(imageData.data, confidence, size);
+        const levels = Math.max(1, this.levels + Math.round(Math.log2(size / 1024)));
+
+        // One channel at a time, which keeps a 4K texture's pyramids within memory
+        for (let c = 0; c < 3; c++) {
+            const photo = new Float32Array(pixelCount);
+            for (let p = 0; p < pixelCount; p++) photo[p] = imageData.data[p * 4 + c];
+
+            // Fill: the mirrored photo where the other side saw it, skin elsewhere
+            const fill = mirror(photo, size, canvas.height, 1);
+            for (let p = 0; p < pixelCount; p++) fill[p] = fill[p] * mirrored[p] + skin[c] * (1 - mirrored[p]);
+
+            const result = multiBandBlend(photo, fill, confidence, size, canvas.height, levels);
+            for (let p = 0; p < pixelCount; p++) imageData.data[p * 4 + c] = result[p];
+        }
+        for (let p = 0; p < pixelCount; p++) imageData.data[p * 4 + 3] = 255;
+        ctx.putImageData(imageData, 0, 0);
+
+        return { skin };
+    }
+
+    // How well the photo shows each tessellation triangle, 0 to 1
+    triangleConfidence(landmarks, width, height) {
+        const weights = new Float32Array(FACEMESH_TESSELATION.length / 3);
+        // MediaPipe's z uses roughly the same scale as x
+        const point = i => [landmarks[i].x * width, landmarks[i].y * height, landmarks[i].z * width];
+
+        for (let t = 0; t < weights.length; t++) {
+            const [a, b, c] = [0, 1, 2].map(k => point(FACEMESH_TESSELATION[t * 3 + k]));
+            const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+            const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+            const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+            const length = Math.hypot(...normal);
+            // The camera looks down +z, so visible triangles face -z
+            const facing = length > 0 ? -normal[2] / length : 0;
+            weights[t] = smoothstep(this.minFacing, this.fullFacing, facing);
+        }
+
+        return weights;
+    }
+
+    // Per-pixel confidence in UV space; zero outside the face
+    rasterizeConfidence(weights, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        weights.forEach((weight, t) => {
+            const level = Math.round(weight * 255);
+            ctx.fillStyle = `rgb(${level}, ${level}, ${level})`;
+            ctx.beginPath();
+            [0, 1, 2].forEach(k => {
+                const [u, v] = FACE_MESH_UVS[FACEMESH_TESSELATION[t * 3 + k]];
+                if (k === 0) ctx.moveTo(u * width, v * height);
+                else ctx.lineTo(u * width, v * height);
+            });
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        const data = ctx.getImageData(0, 0, width, height).data;
+        const mask = new Float32Array(width * height);
+        for (let p = 0; p < mask.length; p++) mask[p] = data[p * 4] / 255;
+
+        // Soften the per-triangle steps
+        return boxBlur(mask, width, height, Math.max(1, Math.round(width / 256)));
+    }
+
+    // Mean color of well-seen, well-exposed skin around a few landmarks
+    sampleSkin(data, confidence, size) {
+        const radius = Math.round(size * 0.03);
+        const sum = [0, 0, 0];
+        let count = 0;
+
+        SKIN_SAMPLE_LANDMARKS.forEach(landmark => {
+            const cx = Math.round(FACE_MESH_UVS[landmark][0] * size);
+            const cy = Math.round(FACE_MESH_UVS[landmark][1] * size);
+            for (let y = Math.max(0, cy - radius); y < Math.min(size, cy + radius); y++) {
+                for (let x = Math.max(0, cx - radius); x < Math.min(size, cx + radius); x++) {
+                    const p = y * size + x;
+                    if (confidence[p] < 0.9) continue;
+                    const brightness = (data[p * 4] + data[p * 4 + 1] + data[p * 4 + 2]) / 3;
+                    if (brightness < 60 || brightness > 240) continue;
+                    for (let c = 0; c < 3; c++) sum[c] += data[p * 4 + c];
+                    count++;
+                }
+            }
+        });
+
+        return count > 0 ? sum.map(value => value / count) : DEFAULT_SKIN.slice();
+    }
+}
+
+// Left-right mirror; the canonical UV layout is symmetric about u = 0.5
+function mirror(values, width, height, channels) {
+    const result = new Float32Array(values.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const from = (y * width + (width - 1 - x)) * channels;
+            const to = (y * width + x) * channels;
+            for (let c = 0; c < channels; c++) result[to + c] = values[from + c];
+        }
+    }
+    return result;
+}
+
+/**
+ * Laplacian pyramid blend of two single-channel images: a where mask is 1, b where it is 0.
+ * Each frequency band is blended over a transition as wide as the band itself.
+ */
+function multiBandBlend(a, b, mask, width, height, levels) {
+    const sizes = [[width, height]];
+    const maskPyramid = [mask];
+    const aPyramid = [a];
+    const bPyramid = [b];
+
+    for (let l = 1; l < levels; l++) {
+        const [w, h] = sizes[l - 1];
+        if (w < 2 || h < 2) break;
+        sizes.push([w >> 1, h >> 1]);
+        maskPyramid.push(downsample(maskPyramid[l - 1], w, h, 1));
+        aPyramid.push(downsample(aPyramid[l - 1], w, h, 1));
+        bPyramid.push(downsample(bPyramid[l - 1], w, h, 1));
+    }
+
+    const top = sizes.length - 1;
+    let result = blendLevel(aPyramid[top], bPyramid[top], maskPyramid[top]);
+
+    for (let l = top - 1; l >= 0; l--) {
+        const [w, h] = sizes[l];
+        const [sw, sh] = sizes[l + 1];
+        // Laplacian bands: each level minus its own blurred (down then up sampled) version
+        const aBand = subtract(aPyramid[l], upsample(aPyramid[l + 1], sw, sh, w, h, 1));
+        const bBand = subtract(bPyramid[l], upsample(bPyramid[l + 1], sw, sh, w, h, 1));
+        const band = blendLevel(aBand, bBand, maskPyramid[l]);
+        result = upsample(result, sw, sh, w, h, 1);
+        for (let i = 0; i < result.length; i++) result[i] += band[i];
+    }
+
+    return result;
+}
+
+function blendLevel(a, b, mask) {
+    const result = new Float32Array(a.length);
+    for (let p = 0; p < mask.length; p++) result[p] = a[p] * mask[p] + b[p] * (1 - mask[p]);
+    return result;
+}
+
+function subtract(a, b) {
+    const result = new Float32Array(a.length);
+    for (let i = 0; i < a.length; i++) result[i] = a[i] - b[i];
+    return result;
+}
+
+// Halve the resolution with a 2x2 box filter
+function downsample(values, width, height, channels) {
+    const w = width >> 1;
+    const h = height >> 1;
+    const result = new Float32Array(w * h * channels);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            for (let c = 0; c < channels; c++) {
+                const at = (dx, dy) => values[((y * 2 + dy) * width + x * 2 + dx) * channels + c];
+                result[(y * w + x) * channels + c] = (at(0, 0) + at(1, 0) + at(0, 1) + at(1, 1)) / 4;
+            }
+        }
+    }
+    return result;
+}
+
+// Bilinear resize from (width, height) to (targetWidth, targetHeight)
+function upsample(values, width, height, targetWidth, targetHeight, channels) {
+    const result = new Float32Array(targetWidth * targetHeight * channels);
+    for (let y = 0; y < targetHeight; y++) {
+        const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * height / targetHeight - 0.5));
+        const y0 = Math.floor(sy);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const fy = sy - y0;
+        for (let x = 0; x < targetWidth; x++) {
+            const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * width / targetWidth - 0.5));
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(width - 1, x0 + 1);
+            const fx = sx - x0;
+            for (let c = 0; c < channels; c++) {
+                const top = values[(y0 * width + x0) * channels + c] * (1 - fx) + values[(y0 * width + x1) * channels + c] * fx;
+                const bottom = values[(y1 * width + x0) * channels + c] * (1 - fx) + values[(y1 * width + x1) * channels + c] * fx;
+                result[(y * targetWidth + x) * channels + c] = top * (1 - fy) + bottom * fy;
+            }
+        }
+    }
+    return result;
+}
@@ -0,0 +1,259 @@
+/**
+ * Texture Delighting
+ * Estimates the photo's lighting as second-order spherical harmonics from the face
+ * normals and the skin shading, then divides it out of the canonical face texture
+ * to leave a flatter albedo map.
+ */
+
+import { FACE_MESH_UVS } from './face-mesh-uvs.js';
+import { FACEMESH_TESSELATION } from './face-mesh-triangulation.js';
+import { rasterizeTriangle } from './texture-raster.js';
+
+// Resolution the (low-frequency) shading is estimated and rasterized at
+const SHADING_RESOLUTION = 256;
+// Relative shading is clamped so deep shadows and hot spots are not blown up
+const MIN_SHADING = 0.25;
+const MAX_SHADING = 4;
+
+export class TextureDelighting {
+    constructor(options = {}) {
+        this.regularization = options.regularization ?? 1e-3;
+        // Samples further than this many standard deviations from the fit (eyes, brows, lips) are dropped
+        this.outlierSigma = options.outlierSigma ?? 2;
+    }
+
+    /**
+     * Delights `canvas` (a texture in the canonical UV layout) in place.
+     * `landmarks` are the photo's normalized landmarks, `width` and `height` its size,
+     * and `visibility` an optional per-triangle weight (0-1) of how well each is seen.
+     * Returns the lighting: 9 RGB spherical harmonic coefficients of the shading, in
+     * camera space (x right, y up, z towards the camera), relative to mean skin shading.
+     */
+    delight(canvas, landmarks, width, height, visibility = null) {
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const size = SHADING_RESOLUTION;
+
+        const normals = this.vertexNormals(landmarks, width, height);
+        const surface = this.rasterizeNormals(normals, visibility, size);
+        const colors = downsampleColors(imageData.data, canvas.width, canvas.height, size);
+
+        const coefficients = this.fitLighting(surface, colors, size);
+        if (!coefficients) return null;
+
+        const shading = this.relativeShading(coefficients, surface, size);
+        divideBilinear(imageData, shading, size);
+        ctx.putImageData(imageData, 0, 0);
+
+        return { type: 'sphericalHarmonics', order: 2, space: 'camera', coefficients: coefficients.normalized };
+    }
+
+    // Area-weighted vertex normals in camera space (x right, y up, z towards the camera)
+    vertexNormals(landmarks, width, height) {
+        const count = FACE_MESH_UVS.length;
+        const normals = new Float32Array(count * 3);
+        // MediaPipe's z uses roughly the same scale as x and grows away from the camera
+        const point = i => [landmarks[i].x * width, -landmarks[i].y * height, -landmarks[i].z * width];
+
+        for (let t = 0; t < FACEMESH_TESSELATION.length; t += 3) {
+            const corners = [FACEMESH_TESSELATION[t], FACEMESH_TESSELATION[t + 1], FACEMESH_TESSELATION[t + 2]];
+            const [a, b, c] = corners.map(point);
+            const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+            const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+            const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+            corners.forEach(i => {
+                for (let k = 0; k < 3; k++) normals[i * 3 + k] += normal[k];
+            });
+        }
+
+        for (let i = 0; i < count; i++) {
+            const length = Math.hypot(normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]) || 1;
+            for (let k = 0; k < 3; k++) normals[i * 3 + k] /= length;
+        }
+        return normals;
+    }
+
+    // Normals and visibility interpolated over the UV layout; weight 0 outside the face
+    rasterizeNormals(normals, visibility, size) {
+        const normal = new Float32Array(size * size * 3);
+        const weight = new Float32Array(size * size);
+
+        for (let t = 0; t < FACEMESH_TESSELATION.length / 3; t++) {
+            const corners = [0, 1, 2].map(k => FACEMESH_TESSELATION[t * 3 + k]);
+            // FACE_MESH_UVS' v already runs down the texture
+            const [p0, p1, p2] = corners.map(i => [FACE_MESH_UVS[i][0] * size - 0.5, FACE_MESH_UVS[i][1] * size - 0.5]);
+            const triangleWeight = visibility ? visibility[t] : 1;
+
+            rasterizeTriangle(p0, p1, p2, size, (p, w0, w1, w2) => {
+                const n = [0, 1, 2].map(k =>
+                    w0 * normals[corners[0] * 3 + k] + w1 * normals[corners[1] * 3 + k] + w2 * normals[corners[2] * 3 + k]
+                );
+                const length = Math.hypot(...n) || 1;
+                for (let k = 0; k < 3; k++) normal[p * 3 + k] = n[k] / length;
+                weight[p] = Math.max(triangleWeight, 1e-3);
+            });
+        }
+
+        return { normal, weight };
+    }
+
+    /**
+     * Least-squares fit of color = L · Y(normal) per channel over well-seen skin,
+     * assuming roughly constant albedo. Returns the raw coefficients and a copy
+     * normalized by the mean skin shading.
+     */
+    fitLighting({ normal, weight }, colors, size) {
+        let samples = [];
+        for (let p = 0; p < size * size; p++) {
+            if (weight[p] < 0.9) continue;
+            const brightness = (colors[p * 3] + colors[p * 3 + 1] + colors[p * 3 + 2]) / 3;
+            if (brightness < 20 || brightness > 245) continue;
+            samples.push(p);
+        }
+        if (samples.length < 50) return null;
+
+        let coefficients = null;
+        for (let pass = 0; pass < 2; pass++) {
+            coefficients = [0, 1, 2].map(c => this.solveChannel(samples, normal, colors, c));
+
+            // Drop what the smooth lighting model can't explain, then refit
+            const residuals = samples.map(p => {
+                const basis = shBasis(normal[p * 3], normal[p * 3 + 1], normal[p * 3 + 2]);
+                return [0, 1, 2].reduce((sum, c) => sum + Math.abs(colors[p * 3 + c] - dot(coefficients[c], basis)), 0) / 3;
+            });
+            const mean = residuals.reduce((a, b) => a + b, 0) / residuals.length;
+            const sigma = Math.sqrt(residuals.reduce((a, r) => a + (r - mean) * (r - mean), 0) / residuals.length);
+            const kept = samples.filter((p, i) => residuals[i] <= mean + this.outlierSigma * sigma);
+            if (kept.length < 50) break;
+            samples = kept;
+        }
+
+        // Mean predicted shading per channel over the skin, the level albedo is kept at
+        const mean = [0, 1, 2].map(c => samples.reduce((sum, p) =>
+            sum + dot(coefficients[c], shBasis(normal[p * 3], normal[p * 3 + 1], normal[p * 3 + 2])), 0) / samples.length
+        );
+        if (mean.some(m => !(m > 0))) return null;
+
+        const normalized = coefficients[0].map((_, k) => [0, 1, 2].map(c => coefficients[c][k] / mean[c]));
+        return { raw: coefficients, mean, normalized };
+    }
+
+    solveChannel(samples, normal, colors, channel) {
+        const ata = Array.from({ length: 9 }, () => new Float64Array(9));
+        const atb = new Float64Array(9);
+        samples.forEach(p => {
+            const basis = shBasis(normal[p * 3], normal[p * 3 + 1], normal[p * 3 + 2]);
+            const value = colors[p * 3 + channel];
+            for (let i = 0; i < 9; i++) {
+                atb[i] += basis[i] * value;
+                for (let j = 0; j < 9; j++) ata[i][j] += basis[i] * basis[j];
+            }
+        });
+        // Ridge term: a face only shows the front hemisphere, so some bands are poorly constrained
+        const ridge = this.regularization * samples.length;
+        for (let i = 1; i < 9; i++) ata[i][i] += ridge;
+        return solveLinear(ata, atb);
+    }
+
+    // Shading relative to the mean skin shading, per channel; 1 outside the face
+    relativeShading(coefficients, { normal, weight }, size) {
+        const shading = new Float32Array(size * size * 3).fill(1);
+        for (let p = 0; p < size * size; p++) {
+            if (weight[p] === 0) continue;
+            const basis = shBasis(normal[p * 3], normal[p * 3 + 1], normal[p * 3 + 2]);
+            for (let c = 0; c < 3; c++) {
+                const s = dot(coefficients.normalized.map(rgb => rgb[c]), basis);
+                shading[p * 3 + c] = Math.min(MAX_SHADING, Math.max(MIN_SHADING, s));
+            }
+        }
+        return shading;
+    }
+}
+
+// Real spherical harmonics up to band 2
+function shBasis(x, y, z) {
+    return [
+        0.282095,
+        0.488603 * y,
+        0.488603 * z,
+        0.488603 * x,
+        1.092548 * x * y,
+        1.092548 * y * z,
+        0.315392 * (3 * z * z - 1),
+        1.092548 * x * z,
+        0.546274 * (x * x - y * y)
+    ];
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+// Gaussian elimination with partial pivoting; `matrix` and `rhs` are overwritten
+function solveLinear(matrix, rhs) {
+    const n = rhs.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+        }
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+        const divisor = matrix[col][col] || 1e-12;
+        for (let r = col + 1; r < n; r++) {
+            const factor = matrix[r][col] / divisor;
+            for (let c = col; c < n; c++) matrix[r][c] -= factor * matrix[col][c];
+            rhs[r] -= factor * rhs[col];
+        }
+    }
+    const solution = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = rhs[r];
+        for (let c = r + 1; c < n; c++) sum -= matrix[r][c] * solution[c];
+        solution[r] = sum / (matrix[r][r] || 1e-12);
+    }
+    return solution;
+}
+
+// Box-filter RGBA pixels down to a size x size RGB float image
+function downsampleColors(data, width, height, size) {
+    const colors = new Float32Array(size * size * 3);
+    const counts = new Float32Array(size * size);
+    for (let y = 0; y < height; y++) {
+        const ty = Math.min(size - 1, Math.floor(y * size / height));
+        for (let x = 0; x < width; x++) {
+            const t = ty * size + Math.min(size - 1, Math.floor(x * size / width));
+            const p = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) colors[t * 3 + c] += data[p + c];
+            counts[t]++;
+        }
+    }
+    for (let t = 0; t < counts.length; t++) {
+        for (let c = 0; c < 3; c++) colors[t * 3 + c] /= counts[t] || 1;
+    }
+    return colors;
+}
+
+// Divides RGBA pixels by a size x size RGB image, bilinearly upsampled to their resolution
+function divideBilinear({ data, width, height }, values, size) {
+    for (let y = 0; y < height; y++) {
+        const sy = Math.min(size - 1, Math.max(0, (y + 0.5) * size / height - 0.5));
+        const y0 = Math.floor(sy);
+        const y1 = Math.min(size - 1, y0 + 1);
+        const fy = sy - y0;
+        for (let x = 0; x < width; x++) {
+            const sx = Math.min(size - 1, Math.max(0, (x + 0.5) * size / width - 0.5));
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(size - 1, x0 + 1);
+            const fx = sx - x0;
+            const p = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                const top = values[(y0 * size + x0) * 3 + c] * (1 - fx) + values[(y0 * size + x1) * 3 + c] * fx;
+                const bottom = values[(y1 * size + x0) * 3 + c] * (1 - fx) + values[(y1 * size + x1) * 3 + c] * fx;
+                data[p + c] = data[p + c] / (top * (1 - fy) + bottom * fy);
+            }
+        }
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Texture Filters
+ * Adjustable enhancement chain for the face texture, applied in a fixed order:
+ * gray-world white balance, exposure, bilateral denoise, unsharp-mask sharpening and
+ * saturation. Filtering always starts from the unfiltered texture, so settings can be
+ * changed freely without the results piling up.
+ */
+
+import { boxBlur } from './texture-raster.js';
+
+export const DEFAULT_TEXTURE_FILTERS = {
+    // Share of the gray-world correction applied, 0 to 1
+    whiteBalance: 0,
+    // Exposure change in stops
+    exposure: 0,
+    // Bilateral denoise strength, 0 to 1
+    denoise: 0,
+    // Unsharp mask amount, 0 to 2
+    sharpen: 0.5,
+    // Saturation multiplier, 0 (gray) to 2
+    saturation: 1
+};
+
+// Exponent beyond which the denoise range weight is taken as zero (e^-14 is below 1e-6)
+const RANGE_CUTOFF = 14;
+
+export class TextureFilters {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_TEXTURE_FILTERS, ...settings };
+    }
+
+    /**
+     * Draws `source` filtered into `target` (a canvas of the same size, by default
+     * `source` itself). Alpha is left as it is.
+     */
+    apply(source, target = source) {
+        const { width, height } = source;
+        const imageData = source.getContext('2d').getImageData(0, 0, width, height);
+        const { whiteBalance, exposure, denoise, sharpen, saturation } = this.settings;
+
+        let rgb = new Float32Array(width * height * 3);
+        for (let p = 0; p < width * height; p++) {
+            for (let c = 0; c < 3; c++) rgb[p * 3 + c] = imageData.data[p * 4 + c];
+        }
+
+        if (whiteBalance > 0) this.whiteBalance(rgb, whiteBalance);
+        if (exposure !== 0) this.exposure(rgb, exposure);
+        if (denoise > 0) rgb = this.denoise(rgb, width, height, denoise);
+        if (sharpen > 0) rgb = this.sharpen(rgb, width, height, sharpen);
+        if (saturation !== 1) this.saturate(rgb, saturation);
+
+        // The clamped array bounds both ends
+        for (let p = 0; p < width * height; p++) {
+            for (let c = 0; c < 3; c++) imageData.data[p * 4 + c] = rgb[p * 3 + c];
+        }
+        target.getContext('2d').putImageData(imageData, 0, 0);
+        return target;
+    }
+
+    // Gray world: scale each channel so the channel means become equal
+    whiteBalance(rgb, strength) {
+        const means = [0, 0, 0];
+        for (let i = 0; i < rgb.length; i++) means[i % 3] += rgb[i];
+        const gray = (means[0] + means[1] + means[2]) / 3;
+        const gains = means.map(mean => 1 + strength * (mean > 0 ? gray / mean - 1 : 0));
+        for (let i = 0; i < rgb.length; i++) rgb[i] *= gains[i % 3];
+    }
+
+    // Scales linear light by 2^stops
+    exposure(rgb, stops) {
+        const gain = Math.pow(2, stops);
+        for (let i = 0; i < rgb.length; i++) rgb[i] = linearToSrgb(srgbToLinear(rgb[i]) * gain);
+    }
+
+    /**
+     * 5x5 bilateral filter: neighbours are averaged by distance and by color similarity,
+     * so skin noise is smoothed while edges (lids, lips, brows) are kept.
+     * Both weights are looked up in tables built once per call.
+     */
+    denoise(rgb, width, height, strength) {
+        const radius = 2;
+        const side = 2 * radius + 1;
+        const spatial = new Float32Array(side * side);
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                spatial[(dy + radius) * side + dx + radius] = Math.exp(-(dx * dx + dy * dy) / (2 * radius * radius));
+            }
+        }
+        // Color differences (0-255 scale) that still count as "similar"
+        const sigma = 4 + 26 * strength;
+        // Range weight by whole squared color distance, down to where it no longer counts
+        const rangeLimit = Math.ceil(2 * sigma * sigma * RANGE_CUTOFF);
+        const rangeWeights = new Float32Array(rangeLimit + 1);
+        for (let d = 0; d < rangeLimit; d++) rangeWeights[d] = Math.exp(-d / (2 * sigma * sigma));
+        const result = new Float32Array(rgb.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = (y * width + x) * 3;
+                const r = rgb[p], g = rgb[p + 1], b = rgb[p + 2];
+                let sumR = 0, sumG = 0, sumB = 0, total = 0;
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const nx = x + dx;
+                        if (nx < 0 || nx >= width) continue;
+                        const q = (ny * width + nx) * 3;
+                        const d0 = rgb[q] - r, d1 = rgb[q + 1] - g, d2 = rgb[q + 2] - b;
+                        const distance = (Math.min(rangeLimit, d0 * d0 + d1 * d1 + d2 * d2) + 0.5) | 0;
+                        const w = spatial[(dy + radius) * side + dx + radius] * rangeWeights[distance];
+                        sumR += w * rgb[q];
+                        sumG += w * rgb[q + 1];
+                        sumB += w * rgb[q + 2];
+                        total += w;
+                    }
+                }
+                result[p] = sumR / total;
+                result[p + 1] = sumG / total;
+                result[p + 2] = sumB / total;
+            }
+        }
+        return result;
+    }
+
+    // Adds back `amount` times the difference from a blurred copy; the radius follows the texture size
+    sharpen(rgb, width, height, amount) {
+        const radius = Math.max(1, Math.round(width / 1024));
+        let blurred = rgb;
+        // Two box passes approximate a Gaussian
+        for (let pass = 0; pass < 2; pass++) blurred = boxBlur(blurred, width, height, radius, 3);
+        const result = new Float32Array(rgb.length);
+        for (let i = 0; i < rgb.length; i++) result[i] = rgb[i] + amount * (rgb[i] - blurred[i]);
+        return result;
+    }
+
+    saturate(rgb, factor) {
+        for (let i = 0; i < rgb.length; i += 3) {
+            const luma = 0.2126 * rgb[i] + 0.7152 * rgb[i + 1] + 0.0722 * rgb[i + 2];
+            for (let c = 0; c < 3; c++) rgb[i + c] = luma + factor * (rgb[i + c] - luma);
+        }
+    }
+}
+
+function srgbToLinear(value) {
+    const s = Math.min(255, Math.max(0, value)) / 255;
+    return s <= 0.04045 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+    const s = Math.min(1, Math.max(0, value));
+    return 255 * (s <= 0.0031308 ? 12.92 * s : 1.055 * Math.pow(s, 1 / 2.4) - 0.055);
+}
@@ -1,11 +1,55 @@
 /**
  * Texture Mapper
- * Creates UV-mapped face texture from input image using MediaPipe landmarks
+ * Creates UV-mapped face texture from input image using MediaPipe landmarks.
+ * The photo is warped triangle by triangle into the canonical MediaPipe UV layout
+ * (FACE_MESH_UVS), so every face shares the same texture space. Parts the photo
+ * shows badly are then completed from the other side of the face. A separate alpha
+ * mask feathers the face's outer contour, so the face can blend into a head behind it.
  */
 
+import { FACE_MESH_UVS } from './face-mesh-uvs.js';
+import { FACEMESH_TESSELATION } from './face-mesh-triangulation.js';
+import { FACE_REGIONS } from './face-regions.js';
+import { TextureCompletion } from './texture-completion.js';
+import { TextureDelighting } from './texture-delighting.js';
+import { TextureFilters } from './texture-filters.js';
+import { boxBlur, smoothstep } from './texture-raster.js';
+
+// Pixels each triangle's clip grows by, so neighbours overlap instead of leaving hairline seams
+const TRIANGLE_BLEED = 1;
+
+export const TEXTURE_SIZES = [512, 1024, 2048, 4096];
+
+// Photo pixels kept around the landmarks when cropping the face out of the photo
+const CROP_MARGIN = 8;
+
+// Facial regions with their color in the region ID map; later regions are drawn over earlier ones
+export const REGION_MASK_COLORS = {
+    forehead: '#3f7fff',
+    cheeks: '#ff7f3f',
+    nose: '#3fbf3f',
+    brows: '#7f3f00',
+    eyelids: '#bf3fff',
+    lips: '#ff1f4f',
+    eyeOpenings: '#00ffff',
+    mouthOpening: '#ffff00'
+};
+
 export class TextureMapper {
-    constructor() {
-        this.textureSize = 1024;
+    constructor(options = {}) {
+        this.textureSize = TEXTURE_SIZES.includes(options.textureSize) ? options.textureSize : 1024;
+        this.completion = new TextureCompletion();
+        this.delighting = options.delight ? new TextureDelighting() : null;
+        this.filters = new TextureFilters(options.filters);
+        // The completed texture before filtering, which every filter change starts from
+        this.unfiltered = null;
+        // Spherical harmonic lighting estimated by the last delit texture
+        this.lighting = null;
+        // Width over which the face fades out inward from its contour, as a share of the texture size
+        this.featherWidth = options.featherWidth ?? 0.03;
+        // Feathered face mask and the skin tone the edge blends into, from the last texture
+        this.alphaMask = null;
+        this.skin = null;
     }
     
     createFaceTexture(image, landmarks) {
@@ -14,85 +58,385 @@ export class TextureMapper {
         canvas.height = this.textureSize;
         const ctx = canvas.getContext('2d');
         
-        // Get face bounding box from landmarks
-        const bounds = this.getFaceBounds(landmarks);
+        ctx.fillStyle = '#f5e6d3'; // Skin tone background
+        ctx.fillRect(0, 0, this.textureSize, this.textureSize);
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
         
-        // Calculate crop region with padding
-        const padding = 0.2;
-        const width = bounds.maxX - bounds.minX;
-        const height = bounds.maxY - bounds.minY;
-        const centerX = (bounds.minX + bounds.maxX) / 2;
-        const centerY = (bounds.minY + bounds.maxY) / 2;
+        // Piecewise affine warp: each tessellation triangle of the photo onto its canonical UV triangle
+        const crop = this.cropSource(image, landmarks);
+        for (let i = 0; i < FACEMESH_TESSELATION.length; i += 3) {
+            const corners = [FACEMESH_TESSELATION[i], FACEMESH_TESSELATION[i + 1], FACEMESH_TESSELATION[i + 2]];
+            const source = corners.map(c => [
+                (landmarks[c].x * image.width - crop.left) * crop.scale,
+                (landmarks[c].y * image.height - crop.top) * crop.scale
+            ]);
+            const target = corners.map(c => [FACE_MESH_UVS[c][0] * this.textureSize, FACE_MESH_UVS[c][1] * this.textureSize]);
+            this.warpTriangle(ctx, crop.canvas, source, target);
+        }
         
-        const cropSize = Math.max(width, height) * (1 + padding);
-        const cropX = centerX - cropSize / 2;
-        const cropY = centerY - cropSize / 2;
+        // Divide the photo's lighting out before mirroring, so the fill matches the albedo
+        this.lighting = null;
+        if (this.delighting) {
+            const visibility = this.completion.triangleConfidence(landmarks, image.width, image.height);
+            this.lighting = this.delighting.delight(canvas, landmarks, image.width, image.height, visibility);
+        }
         
-        // Draw cropped and centered face
-        ctx.fillStyle = '#f5e6d3'; // Skin tone background
-        ctx.fillRect(0, 0, this.textureSize, this.textureSize);
+        // Mirror in what a turned head hides, inpaint skin around the face
+        this.skin = this.completion.complete(canvas, landmarks, image.width, image.height).skin;
         
-        ctx.drawImage(
-            image,
-            cropX * image.width,
-            cropY * image.height,
-            cropSize * image.width,
-            cropSize * image.height,
-            0,
-            0,
-            this.textureSize,
-            this.textureSize
-        );
+        this.unfiltered = copyCanvas(canvas);
+        this.filters.apply(this.unfiltered, canvas);
         
-        // Apply some post-processing
-        this.enhanceTexture(ctx);
+        // Kept apart from the texture: a canvas would premultiply the color away where alpha is low
+        this.alphaMask = this.featherWidth > 0 ? this.createAlphaMask() : null;
         
         return canvas;
     }
     
-    getFaceBounds(landmarks) {
-        let minX = 1, minY = 1, maxX = 0, maxY = 0;
-        
-        landmarks.forEach(landmark => {
-            minX = Math.min(minX, landmark.x);
-            minY = Math.min(minY, landmark.y);
-            maxX = Math.max(maxX, landmark.x);
-            maxY = Math.max(maxY, landmark.y);
-        });
+    /**
+     * Grayscale mask of the face: white inside the face oval, falling smoothly to black
+     * at its outer contour over featherWidth.
+     */
+    createAlphaMask() {
+        const size = this.textureSize;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const outline = FACE_REGIONS.faceOval.map(i => [FACE_MESH_UVS[i][0] * size, FACE_MESH_UVS[i][1] * size]);
         
-        return { minX, minY, maxX, maxY };
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, size, size);
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        outline.forEach(([x, y], k) => (k === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+        ctx.fill();
+        
+        // Inside the oval, fade with the blurred oval, which rises from a half on the contour
+        // to one about featherWidth in. The oval nearly touches the texture's sides, so it is
+        // blurred with a black margin that the border-cut window would otherwise miss.
+        const imageData = ctx.getImageData(0, 0, size, size);
+        const data = imageData.data;
+        const radius = Math.max(1, Math.round(this.featherWidth * size));
+        const padded = size + 2 * radius;
+        const inside = new Float32Array(padded * padded);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                inside[(y + radius) * padded + x + radius] = data[(y * size + x) * 4] / 255;
+            }
+        }
+        const blurred = boxBlur(inside, padded, padded, radius);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const i = (y * size + x) * 4;
+                const alpha = Math.round(data[i] * smoothstep(0.5, 1, blurred[(y + radius) * padded + x + radius]));
+                data[i] = data[i + 1] = data[i + 2] = alpha;
+            }
+        }
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
     }
     
-    enhanceTexture(ctx) {
-        // Slight sharpening and contrast enhancement
-        const imageData = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+    /**
+     * Copy of the texture with the mask in its alpha channel, for formats without a
+     * separate alpha map (glTF). Color where alpha is zero is lost to premultiplication.
+     */
+    applyAlphaMask(textureCanvas, mask = this.alphaMask) {
+        const canvas = copyCanvas(textureCanvas);
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const alpha = copyCanvas(mask, canvas.width, canvas.height).getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+        for (let i = 0; i < imageData.data.length; i += 4) imageData.data[i + 3] = alpha[i];
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+    
+    /**
+     * Opaque copy of the texture with the feathered edge blended into a skin tone
+     * instead, for engines that sort transparent surfaces badly. The tone defaults to the
+     * mean color of the feather band, so it follows the texture's filters.
+     */
+    bakeAlphaMask(textureCanvas, mask = this.alphaMask, skin = null) {
+        const canvas = copyCanvas(textureCanvas);
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const alpha = copyCanvas(mask, canvas.width, canvas.height).getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
         const data = imageData.data;
-        
-        // Increase contrast slightly
-        const factor = 1.1;
+        if (!skin) {
+            const sum = [0, 0, 0];
+            let count = 0;
+            for (let i = 0; i < data.length; i += 4) {
+                if (alpha[i] === 0 || alpha[i] === 255) continue;
+                for (let c = 0; c < 3; c++) sum[c] += data[i + c];
+                count++;
+            }
+            skin = count > 0 ? sum.map(value => value / count) : this.skin;
+        }
         for (let i = 0; i < data.length; i += 4) {
-            data[i] = Math.min(255, (data[i] - 128) * factor + 128);     // R
-            data[i + 1] = Math.min(255, (data[i + 1] - 128) * factor + 128); // G
-            data[i + 2] = Math.min(255, (data[i + 2] - 128) * factor + 128); // B
+            const a = alpha[i] / 255;
+            for (let c = 0; c < 3; c++) data[i + c] = data[i + c] * a + skin[c] * (1 - a);
+            data[i + 3] = 255;
         }
-        
         ctx.putImageData(imageData, 0, 0);
+        return canvas;
     }
     
-    createUVMapping(landmarks) {
-        // Generate UV coordinates for each landmark
+    /**
+     * Grayscale masks of the facial regions in REGION_MASK_COLORS, rasterized from
+     * landmark polygons in UV space: white inside the region, black elsewhere. They only
+     * depend on the canonical UV layout, so any face's texture lines up with them.
+     */
+    createRegionMasks(size = this.textureSize) {
+        const masks = {};
+        Object.entries(regionPolygons()).forEach(([name, { fill, cut = [] }]) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, size, size);
+            ctx.fillStyle = '#fff';
+            fill.forEach(polygon => fillPolygon(ctx, polygon, size));
+            ctx.fillStyle = '#000';
+            cut.forEach(polygon => fillPolygon(ctx, polygon, size));
+            masks[name] = canvas;
+        });
+        return masks;
+    }
+    
+    // All regions in one image, each in its REGION_MASK_COLORS color on black
+    createRegionIdMap(masks = this.createRegionMasks()) {
+        const { width, height } = Object.values(masks)[0];
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        const data = imageData.data;
+        for (let i = 3; i < data.length; i += 4) data[i] = 255;
+        Object.entries(REGION_MASK_COLORS).forEach(([name, color]) => {
+            const mask = masks[name].getContext('2d').getImageData(0, 0, width, height).data;
+            const rgb = [1, 3, 5].map(k => parseInt(color.slice(k, k + 2), 16));
+            // Hard threshold: an ID map must not blend region colors at the edges
+            for (let i = 0; i < data.length; i += 4) {
+                if (mask[i] >= 128) for (let c = 0; c < 3; c++) data[i + c] = rgb[c];
+            }
+        });
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+    
+    /**
+     * Crops the face out of the photo and halves it, with filtering, until it has at
+     * most twice the resolution the texture samples it at. A large photo would otherwise
+     * be minified in one bilinear step and alias; a small one is only ever magnified
+     * with smoothing. Returns the canvas plus the crop's origin and scale in photo pixels.
+     */
+    cropSource(image, landmarks) {
+        const xs = landmarks.map(l => l.x * image.width);
+        const ys = landmarks.map(l => l.y * image.height);
+        const left = Math.max(0, Math.floor(Math.min(...xs)) - CROP_MARGIN);
+        const top = Math.max(0, Math.floor(Math.min(...ys)) - CROP_MARGIN);
+        const right = Math.min(image.width, Math.ceil(Math.max(...xs)) + CROP_MARGIN);
+        const bottom = Math.min(image.height, Math.ceil(Math.max(...ys)) + CROP_MARGIN);
+        
+        // Texture pixels per photo pixel across the face
+        const us = FACE_MESH_UVS.map(uv => uv[0]);
+        const vs = FACE_MESH_UVS.map(uv => uv[1]);
+        const faceWidth = Math.max(...xs) - Math.min(...xs);
+        const faceHeight = Math.max(...ys) - Math.min(...ys);
+        const density = Math.max(
+            (Math.max(...us) - Math.min(...us)) * this.textureSize / Math.max(faceWidth, 1),
+            (Math.max(...vs) - Math.min(...vs)) * this.textureSize / Math.max(faceHeight, 1)
+        );
+        
+        let scale = 1;
+        let canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, right - left);
+        canvas.height = Math.max(1, bottom - top);
+        canvas.getContext('2d').drawImage(image, left, top, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+        
+        while (density < 0.5 * scale && canvas.width > 1 && canvas.height > 1) {
+            const half = document.createElement('canvas');
+            half.width = Math.ceil(canvas.width / 2);
+            half.height = Math.ceil(canvas.height / 2);
+            const ctx = half.getContext('2d');
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(canvas, 0, 0, canvas.width / 2, canvas.height / 2);
+            scale /= 2;
+            canvas = half;
+        }
+        
+        return { canvas, left, top, scale };
+    }
+    
+    warpTriangle(ctx, image, source, target) {
+        const transform = affineTransform(source, target);
+        if (!transform) return;
+        
+        const cx = (target[0][0] + target[1][0] + target[2][0]) / 3;
+        const cy = (target[0][1] + target[1][1] + target[2][1]) / 3;
+        
+        ctx.save();
+        ctx.beginPath();
+        target.forEach(([x, y], k) => {
+            const length = Math.hypot(x - cx, y - cy) || 1;
+            const px = x + (x - cx) / length * TRIANGLE_BLEED;
+            const py = y + (y - cy) / length * TRIANGLE_BLEED;
+            if (k === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        });
+        ctx.closePath();
+        ctx.clip();
+        ctx.setTransform(...transform);
+        ctx.drawImage(image, 0, 0);
+        ctx.restore();
+    }
+    
+    // Re-filters `canvas` (the texture this mapper created) from the unfiltered texture
+    setFilters(settings, canvas) {
+        this.filters = new TextureFilters(settings);
+        if (this.unfiltered) this.filters.apply(this.unfiltered, canvas);
+        return canvas;
+    }
+    
+    /**
+     * Canonical UV coordinates for each landmark (flat u, v array, V flipped for three.js).
+     * The iris landmarks have no canonical UV; they take the position of the eye
+     * triangle they fall in. Needs no instance, as the layout is the same for every photo.
+     */
+    static createUVMapping(landmarks) {
         const uvs = [];
-        const bounds = this.getFaceBounds(landmarks);
-        const width = bounds.maxX - bounds.minX;
-        const height = bounds.maxY - bounds.minY;
-        
-        landmarks.forEach(landmark => {
-            // Normalize to [0, 1] range
-            const u = (landmark.x - bounds.minX) / width;
-            const v = 1 - (landmark.y - bounds.minY) / height; // Flip V
-            uvs.push(u, v);
+        
+        landmarks.forEach((landmark, i) => {
+            const [u, v] = i < FACE_MESH_UVS.length ? FACE_MESH_UVS[i] : TextureMapper.locateInLayout(landmarks, landmark);
+            uvs.push(u, 1 - v); // Flip V
         });
         
         return uvs;
     }
-}
\ No newline at end of file
+    
+    // Canonical UV of an arbitrary image point, through the tessellation triangle containing it
+    static locateInLayout(landmarks, point) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        
+        for (let i = 0; i < FACEMESH_TESSELATION.length; i += 3) {
+            const corners = [FACEMESH_TESSELATION[i], FACEMESH_TESSELATION[i + 1], FACEMESH_TESSELATION[i + 2]];
+            const weights = barycentric(point, corners.map(c => landmarks[c]));
+            if (weights && weights.every(w => w >= 0)) {
+                return [0, 1].map(axis => corners.reduce((sum, c, k) => sum + weights[k] * FACE_MESH_UVS[c][axis], 0));
+            }
+            corners.forEach(c => {
+                const distance = Math.hypot(landmarks[c].x - point.x, landmarks[c].y - point.y);
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearest = c;
+                }
+            });
+        }
+        
+        return FACE_MESH_UVS[nearest];
+    }
+}
+
+// Canvas transform [a, b, c, d, e, f] mapping the three source points onto the target points
+function affineTransform(source, target) {
+    const [[x0, y0], [x1, y1], [x2, y2]] = source;
+    const denominator = x0 * (y1 - y2) + x1 * (y2 - y0) + x2 * (y0 - y1);
+    if (Math.abs(denominator) < 1e-9) return null;
+    
+    const solve = ([t0, t1, t2]) => [
+        (t0 * (y1 - y2) + t1 * (y2 - y0) + t2 * (y0 - y1)) / denominator,
+        (t0 * (x2 - x1) + t1 * (x0 - x2) + t2 * (x1 - x0)) / denominator,
+        (t0 * (x1 * y2 - x2 * y1) + t1 * (x2 * y0 - x0 * y2) + t2 * (x0 * y1 - x1 * y0)) / denominator
+    ];
+    const [a, c, e] = solve(target.map(p => p[0]));
+    const [b, d, f] = solve(target.map(p => p[1]));
+    return [a, b, c, d, e, f];
+}
+
+function barycentric(point, [p0, p1, p2]) {
+    const denominator = (p1.y - p2.y) * (p0.x - p2.x) + (p2.x - p1.x) * (p0.y - p2.y);
+    if (Math.abs(denominator) < 1e-12) return null;
+    const w0 = ((p1.y - p2.y) * (point.x - p2.x) + (p2.x - p1.x) * (point.y - p2.y)) / denominator;
+    const w1 = ((p2.y - p0.y) * (point.x - p2.x) + (p0.x - p2.x) * (point.y - p2.y)) / denominator;
+    return [w0, w1, 1 - w0 - w1];
+}
+
+function copyCanvas(source, width = source.width, height = source.height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+// Landmark polygons of each region: filled, then with the `cut` polygons removed
+function regionPolygons() {
+    const { eyes, brows, lips, nose, cheeks, forehead } = FACE_REGIONS;
+    const sides = ['Left', 'Right'];
+    const eyeOpening = side => [
+        eyes[side].outerCorner, ...eyes[side].upper[0], eyes[side].innerCorner, ...[...eyes[side].lower[0]].reverse()
+    ];
+    const brow = side => [...brows[side].upper, ...[...brows[side].lower].reverse()];
+    const noseHull = convexHull([
+        ...nose.bridge, ...nose.tip, ...sides.flatMap(side => [...nose[side].wing, ...nose[side].crease])
+    ]);
+    const mouthOpening = [lips.Left.corners[1], ...lips.upperInner, lips.Right.corners[1], ...[...lips.lowerInner].reverse()];
+    
+    return {
+        // The forehead reaches down to the brows and between them
+        forehead: {
+            fill: [convexHull([...forehead, ...sides.flatMap(side => brows[side].upper)])],
+            cut: sides.map(brow)
+        },
+        cheeks: { fill: sides.map(side => convexHull(cheeks[side])), cut: [noseHull] },
+        nose: { fill: [noseHull] },
+        brows: { fill: sides.map(brow) },
+        // Outermost lid ring around the eye, without the opening
+        eyelids: {
+            fill: sides.map(side => [...eyes[side].upper[2], ...[...eyes[side].lower[2]].reverse()]),
+            cut: sides.map(eyeOpening)
+        },
+        lips: {
+            fill: [[lips.Left.corners[0], ...lips.upperOuter, lips.Right.corners[0], ...[...lips.lowerOuter].reverse()]],
+            cut: [mouthOpening]
+        },
+        eyeOpenings: { fill: sides.map(eyeOpening) },
+        mouthOpening: { fill: [mouthOpening] }
+    };
+}
+
+function fillPolygon(ctx, indices, size) {
+    ctx.beginPath();
+    indices.forEach((index, k) => {
+        const [u, v] = FACE_MESH_UVS[index];
+        if (k === 0) ctx.moveTo(u * size, v * size);
+        else ctx.lineTo(u * size, v * size);
+    });
+    ctx.closePath();
+    ctx.fill();
+}
+
+// Landmarks on the convex hull of the given ones in UV space, in order (monotone chain)
+function convexHull(indices) {
+    const points = [...new Set(indices)].sort((a, b) => FACE_MESH_UVS[a][0] - FACE_MESH_UVS[b][0] || FACE_MESH_UVS[a][1] - FACE_MESH_UVS[b][1]);
+    const cross = (o, a, b) => {
+        const [ox, oy] = FACE_MESH_UVS[o], [ax, ay] = FACE_MESH_UVS[a], [bx, by] = FACE_MESH_UVS[b];
+        return (ax - ox) * (by - oy) - (ay - oy) * (bx - ox);
+    };
+    const chain = list => {
+        const hull = [];
+        list.forEach(p => {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+            hull.push(p);
+        });
+        hull.pop();
+        return hull;
+    };
+    return [...chain(points), ...chain([...points].reverse())];
+}
@@ -0,0 +1,98 @@
+/**
+ * Texture Raster
+ * Pixel helpers shared by the texture passes: the smoothstep ramp, a separable box blur
+ * and a barycentric triangle rasterizer for drawing meshes into UV space.
+ */
+
+export function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Separable box blur of an interleaved image with `channels` values per pixel. The window
+ * is cut at the borders, so edge pixels average only what lies inside.
+ */
+export function boxBlur(values, width, height, radius, channels = 1) {
+    const pass = (input, horizontal) => {
+        const output = new Float32Array(input.length);
+        const outer = horizontal ? height : width;
+        const inner = horizontal ? width : height;
+        const at = (o, i) => (horizontal ? o * width + i : i * width + o) * channels;
+        for (let o = 0; o < outer; o++) {
+            for (let c = 0; c < channels; c++) {
+                let sum = 0;
+                let count = 0;
+                for (let i = 0; i <= radius && i < inner; i++) {
+                    sum += input[at(o, i) + c];
+                    count++;
+                }
+                for (let i = 0; i < inner; i++) {
+                    output[at(o, i) + c] = sum / count;
+                    if (i - radius >= 0) {
+                        sum -= input[at(o, i - radius) + c];
+                        count--;
+                    }
+                    if (i + radius + 1 < inner) {
+                        sum += input[at(o, i + radius + 1) + c];
+                        count++;
+                    }
+                }
+            }
+        }
+        return output;
+    };
+    return pass(pass(values, true), false);
+}
+
+/**
+ * Calls visit(p, w0, w1, w2) for every texel center of a size x size image inside the
+ * triangle p0 p1 p2 (texel coordinates, [x, y]), with p the texel index and w the
+ * barycentric weights of the corners. Degenerate triangles are skipped.
+ */
+export function rasterizeTriangle(p0, p1, p2, size, visit) {
+    const denominator = (p1[1] - p2[1]) * (p0[0] - p2[0]) + (p2[0] - p1[0]) * (p0[1] - p2[1]);
+    if (Math.abs(denominator) < 1e-12) return;
+
+    const minX = Math.max(0, Math.floor(Math.min(p0[0], p1[0], p2[0])));
+    const maxX = Math.min(size - 1, Math.ceil(Math.max(p0[0], p1[0], p2[0])));
+    const minY = Math.max(0, Math.floor(Math.min(p0[1], p1[1], p2[1])));
+    const maxY = Math.min(size - 1, Math.ceil(Math.max(p0[1], p1[1], p2[1])));
+
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            const w0 = ((p1[1] - p2[1]) * (x - p2[0]) + (p2[0] - p1[0]) * (y - p2[1])) / denominator;
+            const w1 = ((p2[1] - p0[1]) * (x - p2[0]) + (p0[0] - p2[0]) * (y - p2[1])) / denominator;
+            const w2 = 1 - w0 - w1;
+            if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+            visit(y * size + x, w0, w1, w2);
+        }
+    }
+}
+
+/**
+ * For every texel of a size x size map, the triangle of `geometry` covering it in UV
+ * space (-1 for none) and its barycentric weights (w0, w1; w2 is the rest).
+ */
+export function rasterizeGeometry(geometry, size) {
+    const uv = geometry.attributes.uv;
+    const index = geometry.index.array;
+    const triangle = new Int32Array(size * size).fill(-1);
+    const weights = new Float32Array(size * size * 2);
+
+    for (let t = 0; t < index.length / 3; t++) {
+        const [p0, p1, p2] = [0, 1, 2].map(k => uvToTexel(uv.getX(index[t * 3 + k]), uv.getY(index[t * 3 + k]), size));
+        rasterizeTriangle(p0, p1, p2, size, (p, w0, w1) => {
+            triangle[p] = t;
+            weights[p * 2] = w0;
+            weights[p * 2 + 1] = w1;
+        });
+    }
+
+    return { triangle, weights };
+}
+
+// Texel coordinates of a UV point in a size x size texture whose rows run top-down (v = 1 is row 0)
+export function uvToTexel(u, v, size) {
+    return [u * size - 0.5, (1 - v) * size - 0.5];
+}